@@ -1,4 +1,9 @@
 import readline from "readline";
+import { CONTENT_TYPES } from "./retrieval.js";
+
+// Inline filter syntax in questions, e.g. "type:image page:10-20 source:"install guide" after:2024-01-01",
+// plus mmr:on / mmr:off / mmr:0.5 to choose MMR selection for one question
+const INLINE_FILTER_PATTERN = /(?:^|\s)(type|page|source|after|before|mmr):("[^"]*"|\S+)/gi;
 
 /**
  * Augment Module
@@ -49,12 +54,76 @@ export class Augmenter {
     return query.trim();
   }
 
+  /**
+   * Split inline filters off a question
+   * Supported: type:image (or type:text,table), page:12 or page:10-20, source:guide
+   * (quote values with spaces), after:2024-01-01, before:2024-06-30, and the retrieval
+   * option mmr:on, mmr:off or mmr:<lambda>. A token whose value is not valid for its key
+   * (type:E42, page:abc) is ordinary text and stays in the question.
+   * Returns { query, filter, mmr }, with filter null when the question has none and mmr
+   * undefined when not given.
+   */
+  parseInlineFilters(input) {
+    const filter = {};
+    let mmr;
+    const query = input
+      .replace(INLINE_FILTER_PATTERN, (match, key, rawValue) => {
+        const value = rawValue.replace(/^"|"$/g, "");
+        switch (key.toLowerCase()) {
+          case "type": {
+            // "images" and "tables" read naturally, so plurals are accepted
+            const types = value.split(",").map((type) => type.toLowerCase().replace(/ies$/, "y").replace(/s$/, ""));
+            if (!types.every((type) => CONTENT_TYPES.includes(type))) {
+              return match;
+            }
+            filter.contentType = types;
+            break;
+          }
+          case "page": {
+            const range = value.match(/^(\d+)(?:-(\d+))?$/);
+            if (!range) {
+              return match;
+            }
+            filter.pageFrom = Number(range[1]);
+            filter.pageTo = Number(range[2] || range[1]);
+            break;
+          }
+          case "source":
+            filter.source = value;
+            break;
+          case "after":
+          case "before":
+            if (Number.isNaN(new Date(value).getTime())) {
+              return match;
+            }
+            filter[key.toLowerCase() === "after" ? "modifiedAfter" : "modifiedBefore"] = value;
+            break;
+          case "mmr": {
+            const lambda = Number(value);
+            if (value === "on" || value === "off") {
+              mmr = value === "on";
+            } else if (value.length > 0 && lambda >= 0 && lambda <= 1) {
+              mmr = lambda;
+            } else {
+              return match;
+            }
+            break;
+          }
+        }
+        return " ";
+      })
+      .replace(/\s+/g, " ")
+      .trim();
+
+    return { query, filter: Object.keys(filter).length > 0 ? filter : null, mmr };
+  }
+
   /**
    * Augment the query with retrieved context
    * Prepares the prompt for the LLM
    */
   augmentQueryWithContext(query, context) {
-    const augmentedPrompt = `You are a helpful assistant. Answer the user's question based on the following context. If the answer cannot be found in the context, say 'I dont Know - Call ThanhNC40'.
+    const augmentedPrompt = `You are a helpful assistant. Answer the user's question based on the following context. If the answer cannot be found in the context, say 'I dont Know - Call ThanhNC40'. When you use a local document chunk labelled with [Source: ...], cite its source and page number.
 
 Context:
 ${context}
@@ -75,15 +144,18 @@ Answer:`;
     console.log("\n========================================");
     console.log("   RAG Q&A System");
     console.log("========================================");
-    console.log('Type your question or "exit" to quit\n');
+    console.log('Type your question or "exit" to quit');
+    console.log("Narrow the search with type:image, page:10-20, source:guide, after:2024-01-01 or before:2024-06-30,");
+    console.log("and diversify the results with mmr:on (or mmr:0.5)\n");
 
     while (true) {
       try {
-        // Get user query
-        const query = await this.getUserQuery();
+        // Get user query and any inline filters
+        const input = await this.getUserQuery();
+        const { query, filter, mmr } = this.parseInlineFilters(input);
 
         // Check for exit command
-        if (query.toLowerCase() === "exit" || query.toLowerCase() === "quit") {
+        if (input.toLowerCase() === "exit" || input.toLowerCase() === "quit") {
           console.log("\nGoodbye! 👋\n");
           break;
         }
@@ -93,8 +165,12 @@ Answer:`;
           continue;
         }
 
+        if (filter) {
+          console.log(`🔎 Filters: ${JSON.stringify(filter)}`);
+        }
+
         // Retrieve relevant context
-        const { context } = await retriever.retrieveContext(query, 30);
+        const { context } = await retriever.retrieveContext(query, 30, { filter, mmr });
 
         // Augment query with context
         const augmentedPrompt = this.augmentQueryWithContext(query, context);
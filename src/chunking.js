@@ -0,0 +1,349 @@
+/**
+ * Chunking Module
+ * Splits document text into chunks for embedding. Every chunker returns
+ * [{ text, charStart, charEnd }] where text is exactly text.slice(charStart, charEnd),
+ * so the original punctuation and offsets are preserved.
+ *
+ * Available strategies (CHUNKER env variable):
+ * - "recursive": splits on paragraphs, then lines, sentences and words (size in characters)
+ * - "token":     fixed windows of approximate tokens (size in tokens)
+ * - "semantic":  cuts where the embedding similarity of adjacent sentences drops (size in characters)
+ */
+
+/**
+ * Shrink a span so it does not start or end with whitespace
+ */
+function trimSpan(text, start, end) {
+  while (start < end && /\s/.test(text[start])) start++;
+  while (end > start && /\s/.test(text[end - 1])) end--;
+  return { start, end };
+}
+
+/**
+ * Turn spans into chunk objects, dropping empty ones
+ */
+function spansToChunks(text, spans) {
+  return spans
+    .map(({ start, end }) => trimSpan(text, start, end))
+    .filter(({ start, end }) => end > start)
+    .map(({ start, end }) => ({ text: text.slice(start, end), charStart: start, charEnd: end }));
+}
+
+/**
+ * Split text into sentence spans; punctuation and trailing whitespace stay with the sentence
+ */
+export function splitSentences(text) {
+  const sentences = [];
+  const boundary = /[.!?]+["')\]]*\s+|\n\s*\n/g;
+  let start = 0;
+  let match;
+
+  while ((match = boundary.exec(text)) !== null) {
+    const end = match.index + match[0].length;
+    sentences.push({ start, end });
+    start = end;
+  }
+  if (start < text.length) {
+    sentences.push({ start, end: text.length });
+  }
+
+  return sentences;
+}
+
+/**
+ * Recursive separator splitter
+ * Tries paragraph breaks first, then line breaks, sentences and words, and only
+ * cuts inside a word when a single word is longer than the chunk size.
+ * Chunks never exceed chunkSize characters; consecutive chunks share the longest run
+ * of trailing pieces that fits within chunkOverlap characters.
+ */
+export class RecursiveChunker {
+  constructor({ chunkSize = 500, chunkOverlap = 50 } = {}) {
+    if (chunkOverlap >= chunkSize) {
+      throw new Error(`Chunk overlap (${chunkOverlap}) must be smaller than chunk size (${chunkSize})`);
+    }
+    this.name = "recursive";
+    this.chunkSize = chunkSize;
+    this.chunkOverlap = chunkOverlap;
+    this.separators = [/\n\s*\n/g, /\n/g, /[.!?]+["')\]]*\s+/g, /\s+/g];
+  }
+
+  /**
+   * Settings recorded in the index manifest
+   */
+  describe() {
+    return { type: this.name, chunkSize: this.chunkSize, chunkOverlap: this.chunkOverlap };
+  }
+
+  async chunk(text) {
+    return this.chunkSync(text);
+  }
+
+  /**
+   * Synchronous variant, also used by the other chunkers to split oversized pieces
+   */
+  chunkSync(text, start = 0, end = text.length) {
+    const pieces = this.splitSpan(text, start, end, 0);
+    return spansToChunks(text, this.mergeSpans(pieces));
+  }
+
+  /**
+   * Split a span into contiguous pieces no longer than chunkSize
+   */
+  splitSpan(text, start, end, separatorIndex) {
+    if (end - start <= this.chunkSize) {
+      return [{ start, end }];
+    }
+
+    // No separator left: hard cut every chunkSize characters
+    if (separatorIndex >= this.separators.length) {
+      const pieces = [];
+      for (let i = start; i < end; i += this.chunkSize) {
+        pieces.push({ start: i, end: Math.min(i + this.chunkSize, end) });
+      }
+      return pieces;
+    }
+
+    const separator = new RegExp(this.separators[separatorIndex].source, "g");
+    const segment = text.slice(start, end);
+    const pieces = [];
+    let pieceStart = start;
+    let match;
+
+    // Each separator stays attached to the piece before it
+    while ((match = separator.exec(segment)) !== null) {
+      if (match[0].length === 0) {
+        separator.lastIndex++;
+        continue;
+      }
+      const pieceEnd = start + match.index + match[0].length;
+      if (pieceEnd > pieceStart) {
+        pieces.push({ start: pieceStart, end: pieceEnd });
+      }
+      pieceStart = pieceEnd;
+    }
+    if (pieceStart < end) {
+      pieces.push({ start: pieceStart, end });
+    }
+
+    if (pieces.length <= 1) {
+      return this.splitSpan(text, start, end, separatorIndex + 1);
+    }
+
+    return pieces.flatMap((piece) =>
+      piece.end - piece.start <= this.chunkSize
+        ? [piece]
+        : this.splitSpan(text, piece.start, piece.end, separatorIndex + 1)
+    );
+  }
+
+  /**
+   * Merge contiguous pieces into chunks, carrying trailing pieces over as overlap
+   */
+  mergeSpans(pieces) {
+    const chunks = [];
+    let current = [];
+
+    for (const piece of pieces) {
+      if (current.length > 0 && piece.end - current[0].start > this.chunkSize) {
+        chunks.push({ start: current[0].start, end: current[current.length - 1].end });
+
+        // Drop pieces from the front until what remains fits the overlap and the next piece
+        while (
+          current.length > 0 &&
+          (current[current.length - 1].end - current[0].start > this.chunkOverlap ||
+            piece.end - current[0].start > this.chunkSize)
+        ) {
+          current.shift();
+        }
+      }
+      current.push(piece);
+    }
+
+    if (current.length > 0) {
+      chunks.push({ start: current[0].start, end: current[current.length - 1].end });
+    }
+
+    return chunks;
+  }
+}
+
+/**
+ * Token-count splitter
+ * Uses an approximate tokenizer (words, punctuation, and long words split into
+ * sub-word pieces, similar to WordPiece/BPE) unless a tokenize function is given.
+ * Windows hold exactly chunkSize tokens (the last one may be shorter) and consecutive
+ * windows share exactly chunkOverlap tokens. chunkSize is capped at maxTokens, the
+ * embedding model's context length.
+ */
+export class TokenChunker {
+  constructor({ chunkSize = 256, chunkOverlap = 32, maxTokens = 512, tokenize = null } = {}) {
+    if (chunkSize > maxTokens) {
+      console.warn(`⚠ Chunk size ${chunkSize} exceeds the embedding context (${maxTokens} tokens), using ${maxTokens}`);
+      chunkSize = maxTokens;
+    }
+    if (chunkOverlap >= chunkSize) {
+      throw new Error(`Chunk overlap (${chunkOverlap}) must be smaller than chunk size (${chunkSize})`);
+    }
+    this.name = "token";
+    this.chunkSize = chunkSize;
+    this.chunkOverlap = chunkOverlap;
+    this.maxTokens = maxTokens;
+    this.tokenize = tokenize || ((text) => this.approximateTokens(text));
+  }
+
+  describe() {
+    return {
+      type: this.name,
+      chunkSize: this.chunkSize,
+      chunkOverlap: this.chunkOverlap,
+      maxTokens: this.maxTokens,
+    };
+  }
+
+  /**
+   * Approximate tokens as [{ start, end }] spans of the text
+   */
+  approximateTokens(text) {
+    const tokens = [];
+    const pattern = /[\p{L}\p{N}]+|[^\s\p{L}\p{N}]/gu;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+      const start = match.index;
+      const end = start + match[0].length;
+      // Long words become several sub-word tokens of up to 6 characters
+      if (end - start > 8) {
+        for (let i = start; i < end; i += 6) {
+          tokens.push({ start: i, end: Math.min(i + 6, end) });
+        }
+      } else {
+        tokens.push({ start, end });
+      }
+    }
+
+    return tokens;
+  }
+
+  async chunk(text) {
+    const tokens = this.tokenize(text);
+    const spans = [];
+    const step = this.chunkSize - this.chunkOverlap;
+
+    for (let i = 0; i < tokens.length; i += step) {
+      const window = tokens.slice(i, i + this.chunkSize);
+      spans.push({ start: window[0].start, end: window[window.length - 1].end });
+      if (i + this.chunkSize >= tokens.length) {
+        break;
+      }
+    }
+
+    return spansToChunks(text, spans);
+  }
+}
+
+/**
+ * Semantic splitter
+ * Embeds every sentence and starts a new chunk where the cosine distance between
+ * adjacent sentences is above the given percentile of all adjacent distances.
+ * Chunks longer than chunkSize characters are split further with the recursive
+ * splitter (which applies chunkOverlap); semantic boundaries themselves do not overlap.
+ */
+export class SemanticChunker {
+  constructor({ chunkSize = 1000, chunkOverlap = 100, breakpointPercentile = 90, embed } = {}) {
+    if (typeof embed !== "function") {
+      throw new Error("Semantic chunking requires an embed(texts) function");
+    }
+    this.name = "semantic";
+    this.chunkSize = chunkSize;
+    this.chunkOverlap = chunkOverlap;
+    this.breakpointPercentile = breakpointPercentile;
+    this.embed = embed;
+    this.fallback = new RecursiveChunker({ chunkSize, chunkOverlap });
+  }
+
+  describe() {
+    return {
+      type: this.name,
+      chunkSize: this.chunkSize,
+      chunkOverlap: this.chunkOverlap,
+      breakpointPercentile: this.breakpointPercentile,
+    };
+  }
+
+  async chunk(text) {
+    const sentences = splitSentences(text).filter(
+      ({ start, end }) => text.slice(start, end).trim().length > 0
+    );
+    if (sentences.length <= 1) {
+      return this.fallback.chunkSync(text);
+    }
+
+    const embeddings = await this.embed(sentences.map(({ start, end }) => text.slice(start, end).trim()));
+    const distances = [];
+    for (let i = 0; i < sentences.length - 1; i++) {
+      distances.push(1 - this.cosineSimilarity(embeddings[i], embeddings[i + 1]));
+    }
+    const threshold = this.percentile(distances, this.breakpointPercentile);
+
+    // Group sentences between breakpoints
+    const groups = [];
+    let groupStart = sentences[0].start;
+    distances.forEach((distance, i) => {
+      if (distance > threshold) {
+        groups.push({ start: groupStart, end: sentences[i].end });
+        groupStart = sentences[i + 1].start;
+      }
+    });
+    groups.push({ start: groupStart, end: sentences[sentences.length - 1].end });
+
+    return groups.flatMap(({ start, end }) =>
+      end - start <= this.chunkSize
+        ? spansToChunks(text, [{ start, end }])
+        : this.fallback.chunkSync(text, start, end)
+    );
+  }
+
+  cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+  }
+
+  percentile(values, p) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const index = Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1));
+    return sorted[index];
+  }
+}
+
+/**
+ * Create the chunker selected by configuration
+ * Unset sizes fall back to each chunker's own defaults
+ */
+export function createChunker({ type = "recursive", chunkSize, chunkOverlap, ...options } = {}) {
+  const sizes = {};
+  if (Number.isFinite(chunkSize)) sizes.chunkSize = chunkSize;
+  if (Number.isFinite(chunkOverlap)) sizes.chunkOverlap = chunkOverlap;
+
+  switch (type) {
+    case "recursive":
+      return new RecursiveChunker(sizes);
+    case "token":
+      return new TokenChunker({ ...sizes, maxTokens: options.maxTokens, tokenize: options.tokenize });
+    case "semantic":
+      return new SemanticChunker({
+        ...sizes,
+        breakpointPercentile: options.breakpointPercentile,
+        embed: options.embed,
+      });
+    default:
+      throw new Error(`Unknown chunker "${type}" (expected recursive, token or semantic)`);
+  }
+}
@@ -0,0 +1,128 @@
+import OpenAI from "openai";
+import { withRetry } from "./retry.js";
+import { LlmCache } from "./llmCache.js";
+
+/**
+ * Contextual Enrichment Module
+ * Asks the LLM for a short context that situates each chunk within its document
+ * ("This section of the cluster guide describes the storage tier"), so chunks such as
+ * "It supports up to 8 nodes" still mention their subject when embedded.
+ * Contexts are cached in LanceDB by (model, document window, chunk text).
+ */
+
+export class ChunkContextualizer {
+  constructor(dbPath = "./lancedb") {
+    this.openai = new OpenAI({
+      apiKey: "api_key",
+      baseURL: "http://localhost:1234/v1",
+      maxRetries: 0, // Retries are handled by withRetry
+    });
+    this.model = process.env.LLM_MODEL;
+    this.dbPath = dbPath;
+    this.windowChars = parseInt(process.env.CONTEXT_WINDOW_CHARS, 10) || 6000;
+    this.concurrency = parseInt(process.env.CONTEXT_CONCURRENCY, 10) || 2;
+    this.cache = new LlmCache(dbPath, "context_cache", this.model, "context");
+    this.stats = { generated: 0, cached: 0, failed: 0 };
+  }
+
+  /**
+   * The part of the document shown to the LLM: the whole document if it is short,
+   * otherwise a window of windowChars characters centred on the chunk
+   */
+  getWindow(documentText, chunk) {
+    if (documentText.length <= this.windowChars) {
+      return documentText;
+    }
+    const center = Math.floor(((chunk.charStart || 0) + (chunk.charEnd || 0)) / 2);
+    const start = Math.max(0, Math.min(center - this.windowChars / 2, documentText.length - this.windowChars));
+    return documentText.slice(start, start + this.windowChars);
+  }
+
+  /**
+   * Ask the LLM for the situating context of one chunk
+   */
+  async generateContext(window, chunkText) {
+    const response = await withRetry(
+      () =>
+        this.openai.chat.completions.create({
+          model: this.model,
+          messages: [
+            {
+              role: "user",
+              content: `<document>
+${window}
+</document>
+
+Here is the chunk we want to situate within the whole document:
+<chunk>
+${chunkText}
+</chunk>
+
+Give a short, succinct context (one or two sentences) that situates this chunk within the overall document, to improve search retrieval of the chunk. Name the subject the chunk is about. Answer only with the context and nothing else.`,
+            },
+          ],
+          temperature: 0,
+          max_tokens: 120,
+        }),
+      { label: "Context request" }
+    );
+    return (response.choices[0].message.content || "").trim();
+  }
+
+  /**
+   * Set chunk.context on every chunk of one document
+   * Chunks whose context cannot be generated keep an empty context
+   */
+  async contextualize(documentText, chunks) {
+    if (chunks.length === 0) {
+      return chunks;
+    }
+
+    const jobs = chunks.map((chunk) => {
+      const window = this.getWindow(documentText, chunk);
+      return { chunk, window, key: this.cache.key(window, chunk.text) };
+    });
+    const cached = await this.cache.getMany(jobs.map((job) => job.key));
+
+    const pending = [];
+    for (const job of jobs) {
+      if (cached.has(job.key)) {
+        job.chunk.context = cached.get(job.key);
+        this.stats.cached++;
+      } else {
+        pending.push(job);
+      }
+    }
+    console.log(`  Contextual headers: ${jobs.length - pending.length} cached, ${pending.length} to generate`);
+
+    const generated = [];
+    let next = 0;
+    let done = 0;
+    const worker = async () => {
+      while (next < pending.length) {
+        const job = pending[next++];
+        try {
+          job.chunk.context = await this.generateContext(job.window, job.chunk.text);
+          generated.push({ key: job.key, output: job.chunk.context });
+          this.stats.generated++;
+        } catch (error) {
+          console.warn(`  ⚠ Could not generate context for a chunk on page ${job.chunk.pageNumber || "?"}: ${error.message}`);
+          job.chunk.context = "";
+          this.stats.failed++;
+        }
+        done++;
+        if (done % 10 === 0 || done === pending.length) {
+          console.log(`  Progress: ${done}/${pending.length} contexts`);
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(this.concurrency, pending.length) }, () => worker()));
+    await this.cache.putMany(generated);
+
+    return chunks;
+  }
+
+  getStats() {
+    return { ...this.stats };
+  }
+}
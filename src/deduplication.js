@@ -0,0 +1,201 @@
+import crypto from "crypto";
+
+/**
+ * Deduplication Module
+ * Removes boilerplate before embedding: running headers/footers repeated across PDF
+ * pages, chunks that are exact duplicates (after normalizing whitespace and case),
+ * and near-duplicates found with MinHash signatures and locality-sensitive hashing
+ */
+
+/**
+ * Normalize a line or chunk for comparison: lowercase, digits as "#", single spaces
+ * ("Page 3 of 10" and "Page 4 of 10" compare equal)
+ */
+function normalizeLine(text) {
+  return normalizeChunk(text).replace(/\d+/g, "#");
+}
+
+/**
+ * Normalize a chunk for comparison: lowercase, single spaces
+ * Digits are kept - in chunks they are content ("timeout is 30 seconds" vs "600 seconds")
+ */
+function normalizeChunk(text) {
+  return text.toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Mark lines repeated at the top or bottom of many pages as boilerplate
+ * Looks at the first and last zoneLines non-empty lines of each page; a line whose
+ * normalized text shows up there on at least minPageFraction of the pages gets
+ * line.boilerplate = true. Returns the number of marked lines.
+ */
+export function detectRepeatedLines(pages, { zoneLines = 2, minPageFraction = 0.5, minPages = 3 } = {}) {
+  if (pages.length < minPages) {
+    return 0;
+  }
+
+  const zones = pages.map((page) => {
+    const lines = page.lines.filter((line) => line.text.trim().length > 0);
+    return [...new Set([...lines.slice(0, zoneLines), ...lines.slice(-zoneLines)])];
+  });
+
+  const pageCounts = new Map();
+  for (const zone of zones) {
+    for (const key of new Set(zone.map((line) => normalizeLine(line.text)))) {
+      pageCounts.set(key, (pageCounts.get(key) || 0) + 1);
+    }
+  }
+
+  const minCount = Math.max(2, Math.ceil(pages.length * minPageFraction));
+  let marked = 0;
+  for (const zone of zones) {
+    for (const line of zone) {
+      if (pageCounts.get(normalizeLine(line.text)) >= minCount) {
+        line.boilerplate = true;
+        marked++;
+      }
+    }
+  }
+  return marked;
+}
+
+/**
+ * 32-bit FNV-1a hash of a string
+ */
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * MurmurHash3 finalizer, used to derive independent hash functions from one hash
+ */
+function mix32(value) {
+  value ^= value >>> 16;
+  value = Math.imul(value, 0x85ebca6b);
+  value ^= value >>> 13;
+  value = Math.imul(value, 0xc2b2ae35);
+  value ^= value >>> 16;
+  return value >>> 0;
+}
+
+export class ChunkDeduplicator {
+  constructor({ threshold = 0.9, numHashes = 128, bands = 32, shingleSize = 3 } = {}) {
+    if (numHashes % bands !== 0) {
+      throw new Error(`numHashes (${numHashes}) must be a multiple of bands (${bands})`);
+    }
+    this.threshold = threshold;
+    this.numHashes = numHashes;
+    this.bands = bands;
+    this.rowsPerBand = numHashes / bands;
+    this.shingleSize = shingleSize;
+    // Fixed seeds keep signatures identical from run to run
+    this.seeds = Array.from({ length: numHashes }, (_, i) => mix32(i + 1));
+  }
+
+  /**
+   * Word n-gram shingles of a normalized text
+   */
+  shingles(text) {
+    const words = normalizeChunk(text).split(" ").filter((word) => word.length > 0);
+    if (words.length <= this.shingleSize) {
+      return new Set([words.join(" ")]);
+    }
+    const shingles = new Set();
+    for (let i = 0; i <= words.length - this.shingleSize; i++) {
+      shingles.add(words.slice(i, i + this.shingleSize).join(" "));
+    }
+    return shingles;
+  }
+
+  /**
+   * MinHash signature: for each hash function, the minimum hash over all shingles
+   */
+  signature(text) {
+    const signature = new Uint32Array(this.numHashes).fill(0xffffffff);
+    for (const shingle of this.shingles(text)) {
+      const base = fnv1a(shingle);
+      for (let i = 0; i < this.numHashes; i++) {
+        const value = mix32(base ^ this.seeds[i]);
+        if (value < signature[i]) {
+          signature[i] = value;
+        }
+      }
+    }
+    return signature;
+  }
+
+  /**
+   * Estimated Jaccard similarity of two signatures
+   */
+  similarity(a, b) {
+    let equal = 0;
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] === b[i]) equal++;
+    }
+    return equal / a.length;
+  }
+
+  /**
+   * Find duplicates in a list of texts; the first occurrence is always kept
+   * Texts are only compared within the same group (e.g. content type).
+   * Returns { keep: boolean[], dropped: [{ index, reason, duplicateOf, similarity }] }
+   */
+  deduplicate(texts, groups = []) {
+    const keep = new Array(texts.length).fill(true);
+    const dropped = [];
+    const exact = new Map();
+    const buckets = new Map();
+    const signatures = [];
+
+    texts.forEach((text, index) => {
+      const group = groups[index] || "";
+      const normalized = normalizeChunk(text);
+      const exactKey = `${group}:${crypto.createHash("sha256").update(normalized).digest("hex")}`;
+      if (exact.has(exactKey)) {
+        keep[index] = false;
+        dropped.push({ index, reason: "exact", duplicateOf: exact.get(exactKey), similarity: 1 });
+        return;
+      }
+      exact.set(exactKey, index);
+
+      // Candidates share at least one band of the signature; confirm with the full signature
+      const signature = this.signature(text);
+      signatures[index] = signature;
+      const bandKeys = [];
+      const candidates = new Set();
+      for (let band = 0; band < this.bands; band++) {
+        const rows = signature.subarray(band * this.rowsPerBand, (band + 1) * this.rowsPerBand);
+        const key = `${group}:${band}:${rows.join(",")}`;
+        bandKeys.push(key);
+        (buckets.get(key) || []).forEach((candidate) => candidates.add(candidate));
+      }
+
+      let best = null;
+      for (const candidate of candidates) {
+        const similarity = this.similarity(signature, signatures[candidate]);
+        if (similarity >= this.threshold && (!best || similarity > best.similarity)) {
+          best = { duplicateOf: candidate, similarity };
+        }
+      }
+      if (best) {
+        keep[index] = false;
+        dropped.push({ index, reason: "near", ...best });
+        return;
+      }
+
+      bandKeys.forEach((key) => {
+        if (!buckets.has(key)) {
+          buckets.set(key, []);
+        }
+        buckets.get(key).push(index);
+      });
+    });
+
+    return { keep, dropped };
+  }
+}
@@ -0,0 +1,872 @@
+import fs from "fs";
+import path from "path";
+import pdf from "pdf-parse";
+import mammoth from "mammoth";
+import { detectRepeatedLines } from "./deduplication.js";
+import { ImageExtractor } from "./imageExtraction.js";
+import { ImageProcessor } from "./imageProcessing.js";
+
+/**
+ * Document Loaders Module
+ * Reads source files into normalized documents that feed the indexing pipeline.
+ *
+ * Every loader returns the same shape:
+ * {
+ *   text,        // full document text
+ *   title,       // document title, or null to fall back to the file name
+ *   format,      // loader name, e.g. "pdf" or "markdown"
+ *   sections,    // [{ text, pageNumber, startOffset, sectionPath }] - split at headings (and pages for PDFs);
+ *                // PDF sections also carry ocr and ocrConfidence (0-100) for pages read by OCR
+ *   tables,      // [{ caption, rows, pageNumber, startOffset, endOffset, sectionPath }] - PDFs only
+ *   metadata,    // loader specific information (page count, columns, ...)
+ * }
+ *
+ * sectionPath is the chain of headings a section belongs to, e.g. "Installation > Network > Proxy".
+ */
+
+/**
+ * Build a single-section document from plain text
+ */
+function singleSectionDocument(text, format, title = null, metadata = {}) {
+  return {
+    text,
+    title,
+    format,
+    sections: [{ text, pageNumber: null, startOffset: 0, sectionPath: "" }],
+    metadata,
+  };
+}
+
+/**
+ * Push a heading onto the heading stack, closing headings of the same or deeper level
+ * Returns the resulting section path
+ */
+function enterHeading(stack, level, title) {
+  while (stack.length > 0 && stack[stack.length - 1].level >= level) {
+    stack.pop();
+  }
+  stack.push({ level, title: title.replace(/\s+/g, " ").trim() });
+  return stack.map((heading) => heading.title).join(" > ");
+}
+
+/**
+ * Join text blocks into one document text with one section per non-empty block
+ * Blocks are [{ heading: { level, title } | null, text }]; a heading opens a new section path.
+ * A block holding nothing but its heading is folded into the next section instead of
+ * becoming a section (and chunk) of its own.
+ */
+function buildStructuredDocument(blocks) {
+  const stack = [];
+  const sections = [];
+  let sectionPath = "";
+  let text = "";
+  let pendingHeadings = "";
+  let pendingPath = "";
+
+  for (const block of blocks) {
+    if (block.heading) {
+      sectionPath = enterHeading(stack, block.heading.level, block.heading.title);
+    }
+    const blockText = block.text.trim();
+    if (blockText.length === 0) {
+      continue;
+    }
+    if (block.heading && blockText.replace(/\s+/g, " ") === stack[stack.length - 1].title) {
+      pendingHeadings += (pendingHeadings ? "\n\n" : "") + block.text;
+      pendingPath = pendingPath || sectionPath;
+      continue;
+    }
+    const sectionText = pendingHeadings ? `${pendingHeadings}\n\n${block.text}` : block.text;
+    if (text.length > 0) {
+      text += "\n\n";
+    }
+    sections.push({ text: sectionText, pageNumber: null, startOffset: text.length, sectionPath });
+    text += sectionText;
+    pendingHeadings = "";
+    pendingPath = "";
+  }
+
+  // Trailing headings without any content still keep their text
+  if (pendingHeadings) {
+    if (text.length > 0) {
+      text += "\n\n";
+    }
+    sections.push({ text: pendingHeadings, pageNumber: null, startOffset: text.length, sectionPath: pendingPath });
+    text += pendingHeadings;
+  }
+
+  return { text, sections };
+}
+
+/**
+ * Whether a page's text layer is missing or unreadable
+ * Scanned pages have no (or almost no) text; broken font encodings produce replacement
+ * characters, private-use glyphs, "(cid:123)" codes or runs of symbols instead of words.
+ */
+function needsOcr(text, minChars) {
+  const chars = text.replace(/\s+/g, "");
+  if (chars.length < minChars) {
+    return true;
+  }
+  const cidCodes = (text.match(/\(cid:\d+\)/g) || []).join("").length;
+  const garbage = (chars.match(/[\uFFFD\p{Co}\p{Cc}]/gu) || []).length + cidCodes;
+  const wordChars = (chars.match(/[\p{L}\p{N}]/gu) || []).length;
+  return garbage / chars.length > 0.1 || wordChars / chars.length < 0.5;
+}
+
+/**
+ * PDF loader - extracts text page by page with pdf-parse
+ * Pages without a usable text layer (scans) are rendered and run through OCR instead.
+ */
+export class PdfLoader {
+  constructor() {
+    this.name = "pdf";
+    this.extensions = [".pdf"];
+    this.mimeTypes = ["application/pdf"];
+    this.stripHeadersFooters = process.env.STRIP_HEADERS_FOOTERS !== "false";
+    this.ocrFallback = process.env.OCR_FALLBACK !== "false";
+    this.ocrMinChars = parseInt(process.env.OCR_MIN_CHARS, 10) || 30;
+    this.ocrRenderScale = parseFloat(process.env.OCR_RENDER_SCALE) || 2;
+  }
+
+  async load(filePath) {
+    const extracted = await this.extractTextFromPDF(filePath);
+    const { title, pages } = extracted;
+    const { recognized: ocrPages, failed: ocrFailedPages } = this.ocrFallback
+      ? await this.ocrPages(filePath, pages)
+      : { recognized: 0, failed: 0 };
+    // OCR replaces page texts, so the full text and page offsets are rebuilt the way pdf-parse joins them
+    const text = ocrPages > 0 ? this.joinPages(pages) : extracted.text;
+    pages.forEach((page) => {
+      page.tables = this.detectTables(page);
+    });
+    // Running headers/footers repeated across pages are left out of the sections
+    const boilerplateLines = this.stripHeadersFooters ? detectRepeatedLines(pages) : 0;
+    if (boilerplateLines > 0) {
+      console.log(`✓ Stripped ${boilerplateLines} repeated header/footer lines`);
+    }
+    const headingCount = this.detectHeadings(pages);
+
+    // Split every page at its headings; sections never span two pages.
+    // Table rows are cut out of the text and emitted as separate tables.
+    // A heading with no text of its own opens the next section on the same page instead
+    // of becoming a section (and chunk) by itself.
+    const stack = [];
+    let sectionPath = "";
+    const sections = [];
+    const tables = [];
+    for (const page of pages) {
+      const boilerplate = page.lines
+        .filter((line) => line.boilerplate)
+        .map((line) => ({ startOffset: line.offset, endOffset: line.offset + line.text.length }));
+      const cuts = [
+        { offset: 0, heading: null },
+        ...page.lines.filter((line) => line.headingLevel).map((line) => ({ offset: line.offset, heading: line })),
+      ];
+      let foldedStart = null;
+      cuts.forEach((cut, i) => {
+        if (cut.heading) {
+          sectionPath = enterHeading(stack, cut.heading.headingLevel, cut.heading.text);
+        }
+        const end = i + 1 < cuts.length ? cuts[i + 1].offset : page.text.length;
+
+        for (const table of page.tables.filter((t) => t.startOffset >= cut.offset && t.startOffset < end)) {
+          tables.push({
+            ...table,
+            pageNumber: page.pageNumber,
+            startOffset: page.startOffset + table.startOffset,
+            endOffset: page.startOffset + table.endOffset,
+            sectionPath,
+          });
+        }
+
+        const excluded = [...page.tables, ...boilerplate];
+        const ownText = this.excludeRanges(cut.offset, end, excluded)
+          .map((range) => page.text.slice(range.start, range.end))
+          .join(" ");
+        if (cut.heading && i + 1 < cuts.length && ownText.replace(/\s+/g, " ").trim() === cut.heading.text.replace(/\s+/g, " ").trim()) {
+          foldedStart = foldedStart ?? cut.offset;
+          return;
+        }
+        const ranges = this.excludeRanges(foldedStart ?? cut.offset, end, excluded);
+        foldedStart = null;
+
+        for (const range of ranges) {
+          const sectionText = page.text.slice(range.start, range.end);
+          if (sectionText.trim().length > 0) {
+            sections.push({
+              text: sectionText,
+              pageNumber: page.pageNumber,
+              startOffset: page.startOffset + range.start,
+              sectionPath,
+              ocr: page.ocr || false,
+              ocrConfidence: page.ocrConfidence || 0,
+            });
+          }
+        }
+      });
+    }
+
+    if (tables.length > 0) {
+      console.log(`✓ Detected ${tables.length} tables`);
+    }
+
+    return {
+      text,
+      title,
+      format: this.name,
+      sections,
+      tables,
+      metadata: { pageCount: pages.length, headingCount, tableCount: tables.length, boilerplateLines, ocrPages, ocrFailedPages },
+    };
+  }
+
+  /**
+   * Replace the text of pages without a usable text layer by OCR of the rendered page
+   * Pages whose OCR fails or has too low a confidence keep their original text.
+   * Returns { recognized, failed }: the pages read by OCR and the pages that needed OCR
+   * but are indexed without usable text.
+   */
+  async ocrPages(filePath, pages) {
+    const candidates = pages.filter((page) => needsOcr(page.text, this.ocrMinChars));
+    if (candidates.length === 0) {
+      return { recognized: 0, failed: 0 };
+    }
+    console.log(`🔍 ${candidates.length} page(s) without a usable text layer, running OCR...`);
+
+    const imageProcessor = new ImageProcessor();
+    if (!imageProcessor.enableOCR) {
+      console.warn(`⚠ OCR is disabled (USE_OCR=false); ${candidates.length} scanned page(s) are indexed without text`);
+      return { recognized: 0, failed: candidates.length };
+    }
+
+    let rendered = [];
+    let recognized = 0;
+    try {
+      rendered = await new ImageExtractor().renderPages(
+        filePath,
+        candidates.map((page) => page.pageNumber),
+        this.ocrRenderScale
+      );
+      await imageProcessor.initializeOCR();
+      for (const { pageNumber, path: imagePath } of rendered) {
+        const result = await imageProcessor.extractTextWithOCR(imagePath);
+        const page = pages.find((candidate) => candidate.pageNumber === pageNumber);
+        if (!result) {
+          console.warn(`  ⚠ No OCR text for page ${pageNumber}`);
+          continue;
+        }
+        // OCR has no font information, so these pages take no part in heading, table
+        // and header/footer detection
+        page.text = result.text;
+        page.lines = [];
+        page.ocr = true;
+        page.ocrConfidence = result.confidence;
+        recognized++;
+        console.log(`  ✓ Page ${pageNumber}: ${result.text.length} characters (confidence: ${result.confidence.toFixed(1)}%)`);
+      }
+    } catch (error) {
+      console.error(`❌ OCR fallback failed for ${filePath}: ${error.message}`);
+    } finally {
+      await imageProcessor.terminateOCR();
+      rendered.forEach(({ path: imagePath }) => fs.rmSync(imagePath, { force: true }));
+    }
+
+    const failed = candidates.length - recognized;
+    if (failed > 0) {
+      console.warn(`⚠ OCR recovered text for ${recognized}/${candidates.length} page(s); ${failed} scanned page(s) are indexed without text`);
+    } else {
+      console.log(`✓ OCR recovered text for ${recognized}/${candidates.length} page(s)`);
+    }
+    return { recognized, failed };
+  }
+
+  /**
+   * Join page texts the way pdf-parse does ("\n\n" before every page) and update the page offsets
+   */
+  joinPages(pages) {
+    let text = "";
+    for (const page of pages) {
+      text += "\n\n";
+      page.startOffset = text.length;
+      text += page.text;
+    }
+    return text;
+  }
+
+  /**
+   * Remove table (or boilerplate line) ranges from a [start, end) span, returning the remaining ranges
+   */
+  excludeRanges(start, end, tables) {
+    const ranges = [];
+    let cursor = start;
+    for (const table of [...tables].sort((a, b) => a.startOffset - b.startOffset)) {
+      if (table.endOffset <= cursor || table.startOffset >= end) {
+        continue;
+      }
+      if (table.startOffset > cursor) {
+        ranges.push({ start: cursor, end: table.startOffset });
+      }
+      cursor = Math.max(cursor, table.endOffset);
+    }
+    if (cursor < end) {
+      ranges.push({ start: cursor, end });
+    }
+    return ranges;
+  }
+
+  /**
+   * Split a line's text items into cells: items separated by more than a
+   * character-wide gap belong to different cells
+   */
+  lineCells(line) {
+    const cells = [];
+    for (const item of [...line.items].sort((a, b) => a.x - b.x)) {
+      const last = cells[cells.length - 1];
+      const gap = last ? item.x - last.end : Infinity;
+      if (last && gap < Math.max(item.fontSize, 1) * 1.0) {
+        last.text += (gap > item.fontSize * 0.15 ? " " : "") + item.str;
+        last.end = item.x + item.width;
+      } else if (item.str.trim().length > 0) {
+        cells.push({ text: item.str, x: item.x, end: item.x + item.width });
+      }
+    }
+    return cells
+      .map((cell) => ({ ...cell, text: cell.text.trim() }))
+      .filter((cell) => cell.text.length > 0);
+  }
+
+  /**
+   * Detect tables on a page from text item positions
+   * A table is a run of at least three consecutive lines with two or more cells whose
+   * cells line up (by left edge, right edge or centre) with the columns of the first row.
+   * A "Table N" line directly above or below is used as the caption.
+   */
+  detectTables(page) {
+    const tables = [];
+    const rows = page.lines.map((line) => ({ line, cells: this.lineCells(line) }));
+    const aligns = (cell, column, tolerance) =>
+      Math.abs(cell.x - column.x) <= tolerance ||
+      Math.abs(cell.end - column.end) <= tolerance ||
+      Math.abs((cell.x + cell.end) / 2 - (column.x + column.end) / 2) <= tolerance;
+
+    let i = 0;
+    while (i < rows.length) {
+      if (rows[i].cells.length < 2) {
+        i++;
+        continue;
+      }
+
+      const columns = rows[i].cells;
+      const tolerance = Math.max(4, rows[i].line.fontSize);
+      let j = i + 1;
+      while (
+        j < rows.length &&
+        rows[j].cells.length >= 2 &&
+        rows[j].cells.every((cell) => columns.some((column) => aligns(cell, column, tolerance)))
+      ) {
+        j++;
+      }
+
+      if (j - i >= 3) {
+        const tableRows = rows.slice(i, j);
+        tableRows.forEach((row) => {
+          row.line.inTable = true;
+        });
+        const captionPattern = /^(table|tab\.)\s*[\dIVXLC]+/i;
+        const before = rows[i - 1]?.line;
+        const after = rows[j]?.line;
+        const caption = before && captionPattern.test(before.text.trim())
+          ? before.text.trim()
+          : after && captionPattern.test(after.text.trim())
+            ? after.text.trim()
+            : null;
+
+        const lastLine = tableRows[tableRows.length - 1].line;
+        tables.push({
+          caption,
+          rows: tableRows.map((row) => this.assignColumns(row.cells, columns, tolerance)),
+          startOffset: tableRows[0].line.offset,
+          endOffset: lastLine.offset + lastLine.text.length,
+        });
+        i = j;
+      } else {
+        i++;
+      }
+    }
+
+    return tables;
+  }
+
+  /**
+   * Place a row's cells under the nearest header columns
+   */
+  assignColumns(cells, columns, tolerance) {
+    const row = columns.map(() => "");
+    for (const cell of cells) {
+      let best = 0;
+      let bestDistance = Infinity;
+      columns.forEach((column, idx) => {
+        const distance = Math.min(
+          Math.abs(cell.x - column.x),
+          Math.abs(cell.end - column.end),
+          Math.abs((cell.x + cell.end) / 2 - (column.x + column.end) / 2)
+        );
+        if (distance < bestDistance) {
+          best = idx;
+          bestDistance = distance;
+        }
+      });
+      row[best] = row[best] ? `${row[best]} ${cell.text}` : cell.text;
+    }
+    return row;
+  }
+
+  /**
+   * Mark heading lines using the font information of pdfjs text items
+   * Body text is the most common font size; short lines set in a larger font (or bold,
+   * when bold is not the body style) are headings. Larger sizes get higher levels, and
+   * numbered headings ("2.3 Proxy") take their level from the numbering depth.
+   */
+  detectHeadings(pages) {
+    const lines = pages.flatMap((page) => page.lines);
+    const charsBySize = new Map();
+    let boldChars = 0;
+    let totalChars = 0;
+    for (const line of lines) {
+      const size = Math.round(line.fontSize * 2) / 2;
+      charsBySize.set(size, (charsBySize.get(size) || 0) + line.text.length);
+      totalChars += line.text.length;
+      if (line.bold) boldChars += line.text.length;
+    }
+    if (totalChars === 0) {
+      return 0;
+    }
+
+    const bodySize = [...charsBySize.entries()].sort((a, b) => b[1] - a[1])[0][0];
+    const boldIsMeaningful = boldChars < totalChars / 2;
+    const isCandidate = (line) => {
+      const trimmed = line.text.trim();
+      return trimmed.length >= 2 && trimmed.length <= 100 && /\p{L}/u.test(trimmed) && !/[,;:]$/.test(trimmed);
+    };
+    const isLarger = (line) => line.fontSize >= bodySize * 1.15;
+
+    const headingSizes = [...new Set(
+      lines.filter((line) => !line.inTable && !line.boilerplate && isCandidate(line) && isLarger(line)).map((line) => Math.round(line.fontSize * 2) / 2)
+    )].sort((a, b) => b - a);
+
+    let headingCount = 0;
+    for (const line of lines) {
+      if (line.inTable || line.boilerplate || !isCandidate(line) || !(isLarger(line) || (boldIsMeaningful && line.bold))) {
+        continue;
+      }
+      const numbering = line.text.trim().match(/^(\d+(?:\.\d+)*)\.?\s+\S/);
+      const sizeLevel = isLarger(line)
+        ? headingSizes.indexOf(Math.round(line.fontSize * 2) / 2) + 1
+        : headingSizes.length + 1;
+      line.headingLevel = numbering ? numbering[1].split(".").length : sizeLevel;
+      headingCount++;
+    }
+
+    if (headingCount > 0) {
+      console.log(`✓ Detected ${headingCount} headings`);
+    }
+    return headingCount;
+  }
+
+  /**
+   * Extract text from PDF file page by page
+   * Returns the full text, the document title from the PDF metadata, and one entry
+   * per page with its text, character offset within the full text, and its lines
+   * with font size, weight and item positions (used for heading and table detection)
+   */
+  async extractTextFromPDF(pdfPath) {
+    try {
+      const dataBuffer = fs.readFileSync(pdfPath);
+      const pages = [];
+
+      // pdf-parse renders pages in order and joins them as "\n\n" + pageText,
+      // so each page's offset in data.text can be tracked while rendering
+      let offset = 0;
+      const data = await pdf(dataBuffer, {
+        pagerender: async (pageData) => {
+          const textContent = await pageData.getTextContent({
+            normalizeWhitespace: false,
+            disableCombineTextItems: false,
+          });
+
+          // Same line-joining rules as pdf-parse's default renderer
+          let lastY;
+          let text = "";
+          let line = null;
+          const lines = [];
+          for (const item of textContent.items) {
+            if (lastY == item.transform[5] || !lastY) {
+              text += item.str;
+            } else {
+              text += "\n" + item.str;
+              line = null;
+            }
+            lastY = item.transform[5];
+
+            if (!line) {
+              line = { text: "", offset: text.length - item.str.length, fontSize: 0, bold: true, items: [] };
+              lines.push(line);
+            }
+            // Font size is the vertical scale of the text matrix
+            const fontSize = Math.hypot(item.transform[2], item.transform[3]) || item.height || 0;
+            const fontFamily = textContent.styles?.[item.fontName]?.fontFamily || "";
+            line.items.push({ str: item.str, x: item.transform[4], width: item.width || 0, fontSize });
+            line.text += item.str;
+            line.fontSize = Math.max(line.fontSize, fontSize);
+            if (item.str.trim().length > 0) {
+              line.bold = line.bold && /bold|black|heavy/i.test(`${item.fontName} ${fontFamily}`);
+            }
+          }
+
+          offset += 2;
+          pages.push({
+            pageNumber: pageData.pageNumber || pages.length + 1,
+            text,
+            startOffset: offset,
+            lines,
+          });
+          offset += text.length;
+          return text;
+        },
+      });
+
+      console.log(`✓ PDF loaded: ${data.numpages} pages`);
+      console.log(`✓ Text extracted: ${data.text.length} characters`);
+
+      return { text: data.text, title: data.info?.Title || null, pages };
+    } catch (error) {
+      console.error("Error extracting text from PDF:", error);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Plain text loader
+ */
+export class TextLoader {
+  constructor() {
+    this.name = "text";
+    this.extensions = [".txt", ".text", ".log"];
+    this.mimeTypes = ["text/plain"];
+  }
+
+  async load(filePath) {
+    const text = fs.readFileSync(filePath, "utf8");
+    console.log(`✓ Text file loaded: ${text.length} characters`);
+    return singleSectionDocument(text, this.name);
+  }
+}
+
+/**
+ * Markdown loader - strips markup while keeping headings, list items and code as text
+ */
+export class MarkdownLoader {
+  constructor() {
+    this.name = "markdown";
+    this.extensions = [".md", ".markdown"];
+    this.mimeTypes = ["text/markdown"];
+  }
+
+  async load(filePath) {
+    const source = fs.readFileSync(filePath, "utf8").replace(/\r\n/g, "\n");
+    const headingMatch = source.match(/^#\s+(.+)$/m);
+    const { text, sections } = buildStructuredDocument(
+      this.splitAtHeadings(source).map((block) => ({
+        heading: block.heading,
+        text: this.markdownToText(block.source),
+      }))
+    );
+
+    console.log(`✓ Markdown loaded: ${text.length} characters, ${sections.length} section(s)`);
+    return {
+      text,
+      title: headingMatch ? headingMatch[1].trim() : null,
+      format: this.name,
+      sections,
+      metadata: {},
+    };
+  }
+
+  /**
+   * Split Markdown source into blocks that each start at an ATX (#) heading
+   * Lines inside fenced code blocks are never treated as headings
+   */
+  splitAtHeadings(source) {
+    const blocks = [{ heading: null, source: "" }];
+    let inFence = false;
+
+    for (const line of source.split("\n")) {
+      if (/^\s*(```|~~~)/.test(line)) {
+        inFence = !inFence;
+      }
+      const heading = !inFence && line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+      if (heading) {
+        blocks.push({ heading: { level: heading[1].length, title: this.markdownToText(heading[2]) }, source: "" });
+      }
+      blocks[blocks.length - 1].source += line + "\n";
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Convert Markdown to readable plain text
+   */
+  markdownToText(markdown) {
+    return markdown
+      .replace(/^---\n[\s\S]*?\n---\n/, "") // front matter
+      .replace(/^```.*$/gm, "") // code fences (content is kept)
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1") // images -> alt text
+      .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1") // links -> link text
+      .replace(/^#{1,6}\s+/gm, "") // heading markers
+      .replace(/^>\s?/gm, "") // blockquotes
+      // Inline code is kept verbatim; emphasis markers only count at word boundaries, so
+      // identifiers such as max_retry_count and expressions such as a*b*c stay intact
+      .split(/(`[^`\n]+`)/)
+      .map((part, index) =>
+        index % 2 === 1 ? part.slice(1, -1) : part.replace(/(^|[^\w*])(\*\*|__|\*|_)(?=\S)(.+?)(?<=\S)\2(?![\w*])/gm, "$1$3")
+      )
+      .join("")
+      .replace(/\n{3,}/g, "\n\n")
+      .trim();
+  }
+}
+
+/**
+ * HTML loader - drops scripts, styles and tags, keeping block structure as line breaks
+ */
+export class HtmlLoader {
+  constructor() {
+    this.name = "html";
+    this.extensions = [".html", ".htm"];
+    this.mimeTypes = ["text/html", "application/xhtml+xml"];
+  }
+
+  async load(filePath) {
+    const html = fs.readFileSync(filePath, "utf8");
+    const titleMatch = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+    const body = html.replace(/<head[^>]*>[\s\S]*?<\/head>/i, " ");
+
+    // Every <h1>-<h6> starts a new block that runs until the next heading
+    const blocks = [];
+    const headingPattern = /<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi;
+    let lastIndex = 0;
+    let heading = null;
+    let match;
+    while ((match = headingPattern.exec(body)) !== null) {
+      blocks.push({ heading, text: this.htmlToText(body.slice(lastIndex, match.index)) });
+      heading = { level: parseInt(match[1], 10), title: this.htmlToText(match[2]) };
+      lastIndex = match.index;
+    }
+    blocks.push({ heading, text: this.htmlToText(body.slice(lastIndex)) });
+
+    const { text, sections } = buildStructuredDocument(blocks);
+
+    console.log(`✓ HTML loaded: ${text.length} characters, ${sections.length} section(s)`);
+    return {
+      text,
+      title: titleMatch ? this.decodeEntities(titleMatch[1]).trim() : null,
+      format: this.name,
+      sections,
+      metadata: {},
+    };
+  }
+
+  /**
+   * Convert HTML markup to plain text
+   */
+  htmlToText(html) {
+    const text = html
+      .replace(/<(script|style|noscript|template)[^>]*>[\s\S]*?<\/\1>/gi, " ")
+      .replace(/<!--[\s\S]*?-->/g, " ")
+      .replace(/<br\s*\/?>/gi, "\n")
+      .replace(/<\/(p|div|h[1-6]|li|tr|section|article|header|footer|blockquote|pre|table|ul|ol)>/gi, "\n\n")
+      .replace(/<[^>]+>/g, " ");
+
+    return this.decodeEntities(text)
+      .replace(/[ \t]+/g, " ")
+      .replace(/ *\n */g, "\n")
+      .replace(/\n{3,}/g, "\n\n")
+      .trim();
+  }
+
+  /**
+   * Decode the common named and numeric HTML entities
+   */
+  decodeEntities(text) {
+    const named = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+      if (entity[0] === "#") {
+        const code = entity[1].toLowerCase() === "x"
+          ? parseInt(entity.slice(2), 16)
+          : parseInt(entity.slice(1), 10);
+        return Number.isNaN(code) ? match : String.fromCodePoint(code);
+      }
+      return named[entity.toLowerCase()] ?? match;
+    });
+  }
+}
+
+/**
+ * DOCX loader - uses mammoth to extract the raw text
+ */
+export class DocxLoader {
+  constructor() {
+    this.name = "docx";
+    this.extensions = [".docx"];
+    this.mimeTypes = ["application/vnd.openxmlformats-officedocument.wordprocessingml.document"];
+  }
+
+  async load(filePath) {
+    const result = await mammoth.extractRawText({ path: filePath });
+    const text = result.value.replace(/\n{3,}/g, "\n\n").trim();
+
+    console.log(`✓ DOCX loaded: ${text.length} characters`);
+    return singleSectionDocument(text, this.name);
+  }
+}
+
+/**
+ * CSV loader - renders every row as one "column: value" sentence
+ */
+export class CsvLoader {
+  constructor() {
+    this.name = "csv";
+    this.extensions = [".csv", ".tsv"];
+    this.mimeTypes = ["text/csv", "text/tab-separated-values"];
+  }
+
+  async load(filePath) {
+    const delimiter = path.extname(filePath).toLowerCase() === ".tsv" ? "\t" : ",";
+    const rows = this.parseCSV(fs.readFileSync(filePath, "utf8"), delimiter);
+    const [header = [], ...records] = rows;
+
+    // Each row ends with a period so the chunker treats rows as sentences
+    const text = records
+      .map((record) =>
+        header
+          .map((column, idx) => `${column.trim()}: ${(record[idx] ?? "").trim()}`)
+          .join("; ") + "."
+      )
+      .join("\n");
+
+    console.log(`✓ CSV loaded: ${records.length} rows, ${header.length} columns`);
+    return singleSectionDocument(text, this.name, null, {
+      columns: header,
+      rowCount: records.length,
+    });
+  }
+
+  /**
+   * Parse CSV text into rows of fields, honouring quoted fields and escaped quotes
+   */
+  parseCSV(content, delimiter = ",") {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let inQuotes = false;
+
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i];
+      if (inQuotes) {
+        if (char === '"' && content[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = "";
+      } else if (char === "\n" || char === "\r") {
+        if (char === "\r" && content[i + 1] === "\n") {
+          i++;
+        }
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = "";
+      } else {
+        field += char;
+      }
+    }
+
+    if (field.length > 0 || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return rows.filter((fields) => fields.some((value) => value.trim().length > 0));
+  }
+}
+
+/**
+ * Registry of document loaders keyed by file extension and MIME type
+ */
+export class DocumentLoaderRegistry {
+  constructor() {
+    this.loadersByExtension = new Map();
+    this.loadersByMimeType = new Map();
+
+    [
+      new PdfLoader(),
+      new TextLoader(),
+      new MarkdownLoader(),
+      new HtmlLoader(),
+      new DocxLoader(),
+      new CsvLoader(),
+    ].forEach((loader) => this.register(loader));
+  }
+
+  /**
+   * Register a loader for its extensions and MIME types
+   * A loader registered later replaces an earlier one for the same key
+   */
+  register(loader) {
+    loader.extensions.forEach((extension) =>
+      this.loadersByExtension.set(extension.toLowerCase(), loader)
+    );
+    (loader.mimeTypes || []).forEach((mimeType) =>
+      this.loadersByMimeType.set(mimeType.toLowerCase(), loader)
+    );
+  }
+
+  /**
+   * Find the loader for a file, preferring an explicit MIME type over the extension
+   */
+  getLoader(filePath, mimeType = null) {
+    if (mimeType && this.loadersByMimeType.has(mimeType.toLowerCase())) {
+      return this.loadersByMimeType.get(mimeType.toLowerCase());
+    }
+    return this.loadersByExtension.get(path.extname(filePath).toLowerCase()) || null;
+  }
+
+  /**
+   * File extensions that can be indexed
+   */
+  get supportedExtensions() {
+    return [...this.loadersByExtension.keys()];
+  }
+
+  /**
+   * Load a file into a normalized document
+   */
+  async load(filePath, mimeType = null) {
+    const loader = this.getLoader(filePath, mimeType);
+    if (!loader) {
+      throw new Error(`No document loader registered for ${path.extname(filePath) || filePath}`);
+    }
+    return await loader.load(filePath);
+  }
+}
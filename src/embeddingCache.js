@@ -0,0 +1,183 @@
+import crypto from "crypto";
+import * as lancedb from "@lancedb/lancedb";
+import { sqlString } from "./sql.js";
+
+/**
+ * Embedding Cache Module
+ * Persists embeddings in a LanceDB table keyed by (embedding model, sha256 of the text),
+ * so indexing and retrieval never embed the same text twice with the same model.
+ * With a different table name it also serves as the indexing checkpoint store.
+ */
+
+const CACHE_TABLE = "embedding_cache";
+
+export class EmbeddingCache {
+  constructor(dbPath = "./lancedb", model, tableName = CACHE_TABLE) {
+    this.dbPath = dbPath;
+    this.model = model;
+    this.tableName = tableName;
+    this.table = null;
+    this.stats = { hits: 0, misses: 0 };
+  }
+
+  /**
+   * Hash a text for use as cache key
+   */
+  hashText(text) {
+    return crypto.createHash("sha256").update(text).digest("hex");
+  }
+
+  /**
+   * Open the cache table, or return null if it has not been created yet
+   */
+  async openTable() {
+    if (this.table) {
+      return this.table;
+    }
+    const db = await lancedb.connect(this.dbPath);
+    const tableNames = await db.tableNames();
+    if (tableNames.includes(this.tableName)) {
+      this.table = await db.openTable(this.tableName);
+    }
+    return this.table;
+  }
+
+  /**
+   * Look up embeddings for a list of texts
+   * Returns an array aligned with texts holding the cached vector or null on a miss
+   */
+  async getMany(texts) {
+    const vectors = new Array(texts.length).fill(null);
+    if (texts.length === 0) {
+      return vectors;
+    }
+
+    try {
+      const table = await this.openTable();
+      if (table) {
+        const hashes = texts.map((text) => this.hashText(text));
+        const found = new Map();
+
+        // Query in slices to keep the IN list reasonably short
+        const uniqueHashes = [...new Set(hashes)];
+        for (let i = 0; i < uniqueHashes.length; i += 500) {
+          const slice = uniqueHashes.slice(i, i + 500);
+          const rows = await table
+            .query()
+            .where(`model = ${sqlString(this.model)} AND \`textHash\` IN (${slice.map(sqlString).join(", ")})`)
+            .select(["textHash", "embedding"])
+            .toArray();
+          rows.forEach((row) => found.set(row.textHash, Array.from(row.embedding)));
+        }
+
+        hashes.forEach((hash, idx) => {
+          vectors[idx] = found.get(hash) || null;
+        });
+      }
+    } catch (error) {
+      console.warn(`⚠ Embedding cache lookup failed: ${error.message}`);
+    }
+
+    const hits = vectors.filter((vector) => vector !== null).length;
+    this.stats.hits += hits;
+    this.stats.misses += texts.length - hits;
+    return vectors;
+  }
+
+  /**
+   * Store embeddings for a list of texts
+   */
+  async putMany(texts, vectors) {
+    if (texts.length === 0) {
+      return;
+    }
+
+    // The same text can appear several times in one batch; store it once
+    const rows = new Map();
+    texts.forEach((text, idx) => {
+      const textHash = this.hashText(text);
+      rows.set(textHash, {
+        model: this.model,
+        textHash,
+        embedding: Array.from(vectors[idx]),
+        createdAt: new Date().toISOString(),
+      });
+    });
+
+    try {
+      const table = await this.openTable();
+      if (table) {
+        await table.add([...rows.values()]);
+      } else {
+        const db = await lancedb.connect(this.dbPath);
+        this.table = await db.createTable(this.tableName, [...rows.values()]);
+      }
+    } catch (error) {
+      console.warn(`⚠ Could not write to embedding cache: ${error.message}`);
+    }
+  }
+
+  /**
+   * Drop the whole table
+   */
+  async clear() {
+    const table = await this.openTable();
+    if (table) {
+      const db = await lancedb.connect(this.dbPath);
+      await db.dropTable(this.tableName);
+      this.table = null;
+    }
+  }
+
+  /**
+   * Hit/miss statistics since the last reset
+   */
+  getStats() {
+    const total = this.stats.hits + this.stats.misses;
+    return {
+      ...this.stats,
+      hitRate: total > 0 ? this.stats.hits / total : 0,
+    };
+  }
+
+  resetStats() {
+    this.stats = { hits: 0, misses: 0 };
+  }
+
+  /**
+   * Count cached entries per model
+   */
+  async countByModel() {
+    const table = await this.openTable();
+    if (!table) {
+      return new Map();
+    }
+
+    const counts = new Map();
+    const rows = await table.query().select(["model"]).toArray();
+    rows.forEach((row) => counts.set(row.model, (counts.get(row.model) || 0) + 1));
+    return counts;
+  }
+
+  /**
+   * Delete entries for every model not in keepModels
+   * Returns the number of removed entries per model
+   */
+  async prune(keepModels) {
+    const counts = await this.countByModel();
+    const removed = new Map();
+
+    for (const [model, count] of counts) {
+      if (!keepModels.includes(model)) {
+        await this.table.delete(`model = ${sqlString(model)}`);
+        removed.set(model, count);
+      }
+    }
+
+    if (removed.size > 0) {
+      // Compact the table after deleting rows
+      await this.table.optimize();
+    }
+    return removed;
+  }
+}
@@ -210,6 +210,57 @@ export class ImageExtractor {
     }
   }
 
+  /**
+   * Render whole pages to PNG files, e.g. to OCR scanned pages that have no text layer
+   * @param {string} pdfPath - Path to the PDF file
+   * @param {number[]} pageNumbers - 1-based page numbers to render
+   * @param {number} scale - Render scale (1 = 72 DPI)
+   * @returns {Promise<Array>} Array of { pageNumber, path } for the rendered pages
+   */
+  async renderPages(pdfPath, pageNumbers, scale = 2) {
+    const pdfjs = await loadPdfJs();
+    if (!pdfjs) {
+      throw new Error("pdfjs-dist not available");
+    }
+    const { getDocument } = pdfjs.default || pdfjs;
+    // pdfjs draws pages in Node.js on an @napi-rs/canvas canvas
+    try {
+      await import("@napi-rs/canvas");
+    } catch (error) {
+      throw new Error(`Rendering PDF pages needs @napi-rs/canvas (npm install @napi-rs/canvas): ${error.message}`);
+    }
+
+    const data = new Uint8Array(fs.readFileSync(pdfPath));
+    const pdf = await getDocument({
+      data,
+      // Fonts not embedded in the PDF are drawn with pdfjs' bundled standard fonts
+      standardFontDataUrl: path.join(path.dirname(fileURLToPath(import.meta.resolve("pdfjs-dist/package.json"))), "standard_fonts") + path.sep,
+    }).promise;
+
+    const rendered = [];
+    try {
+      for (const pageNumber of pageNumbers) {
+        const page = await pdf.getPage(pageNumber);
+        const viewport = page.getViewport({ scale });
+        const { canvas, context } = pdf.canvasFactory.create(viewport.width, viewport.height);
+        try {
+          await page.render({ canvasContext: context, viewport }).promise;
+        } catch (error) {
+          throw new Error(`Could not render page ${pageNumber} of ${pdfPath}: ${error.message}`);
+        }
+
+        const pagePath = path.join(this.tempImageDir, `page_${pageNumber}_render.png`);
+        fs.writeFileSync(pagePath, canvas.toBuffer("image/png"));
+        rendered.push({ pageNumber, path: pagePath });
+        page.cleanup();
+      }
+    } finally {
+      await pdf.destroy();
+    }
+
+    return rendered;
+  }
+
   /**
    * Alternative image extraction method
    * Some PDFs may require different extraction approaches
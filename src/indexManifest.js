@@ -0,0 +1,122 @@
+import fs from "fs";
+import * as lancedb from "@lancedb/lancedb";
+
+/**
+ * Index Manifest Module
+ * Records how the "documents" table was built (embedding model, vector dimension,
+ * chunker settings, contextual header model, redaction and summary settings, distance
+ * metric, sources, app version) in a companion table, so a later indexing run or query
+ * session can tell whether it is compatible with the stored vectors
+ */
+
+const MANIFEST_TABLE = "index_manifest";
+
+// Vector distance metrics supported by LanceDB
+export const DISTANCE_METRICS = ["l2", "cosine", "dot"];
+
+const APP_VERSION = JSON.parse(
+  fs.readFileSync(new URL("../package.json", import.meta.url), "utf8")
+).version;
+
+export class IndexManifest {
+  constructor(dbPath = "./lancedb") {
+    this.dbPath = dbPath;
+  }
+
+  static get appVersion() {
+    return APP_VERSION;
+  }
+
+  /**
+   * Read the manifest, or return null if the index was built without one
+   */
+  async read() {
+    const db = await lancedb.connect(this.dbPath);
+    const tableNames = await db.tableNames();
+    if (!tableNames.includes(MANIFEST_TABLE)) {
+      return null;
+    }
+
+    const table = await db.openTable(MANIFEST_TABLE);
+    const [row] = await table.query().limit(1).toArray();
+    if (!row) {
+      return null;
+    }
+
+    return {
+      embeddingModel: row.embeddingModel,
+      vectorDimension: Number(row.vectorDimension),
+      chunker: JSON.parse(row.chunker),
+      contextModel: row.contextModel || "",
+      redaction: row.redaction || "",
+      summaries: row.summaries || "",
+      distanceMetric: row.distanceMetric || "l2", // Indexes from before the setting used LanceDB's default
+      sources: JSON.parse(row.sources),
+      chunkCount: Number(row.chunkCount),
+      indexedAt: row.indexedAt,
+      appVersion: row.appVersion,
+    };
+  }
+
+  /**
+   * Replace the manifest with a description of the current index
+   */
+  async write({ embeddingModel, vectorDimension, chunker, contextModel = "", redaction = "", summaries = "", distanceMetric = "l2", sources, chunkCount }) {
+    const row = {
+      embeddingModel: embeddingModel || "",
+      vectorDimension,
+      chunker: JSON.stringify(chunker),
+      contextModel: contextModel || "",
+      redaction,
+      summaries,
+      distanceMetric,
+      sources: JSON.stringify(sources),
+      chunkCount,
+      indexedAt: new Date().toISOString(),
+      appVersion: APP_VERSION,
+    };
+
+    const db = await lancedb.connect(this.dbPath);
+    await db.createTable(MANIFEST_TABLE, [row], { mode: "overwrite" });
+    return row;
+  }
+
+  /**
+   * List the settings that differ between a stored manifest and the current configuration
+   * Only the given keys of current are compared; returns human-readable differences
+   */
+  compare(manifest, current) {
+    const differences = [];
+
+    if (current.embeddingModel !== undefined && manifest.embeddingModel !== current.embeddingModel) {
+      differences.push(`embedding model "${manifest.embeddingModel}" vs "${current.embeddingModel}"`);
+    }
+    if (current.vectorDimension !== undefined && manifest.vectorDimension !== current.vectorDimension) {
+      differences.push(`vector dimension ${manifest.vectorDimension} vs ${current.vectorDimension}`);
+    }
+    if (current.contextModel !== undefined && manifest.contextModel !== current.contextModel) {
+      const describe = (model) => (model ? `"${model}"` : "off");
+      differences.push(`contextual headers ${describe(manifest.contextModel)} vs ${describe(current.contextModel)}`);
+    }
+    if (current.redaction !== undefined && manifest.redaction !== current.redaction) {
+      differences.push(`redaction settings ${manifest.redaction || "off"} vs ${current.redaction || "off"}`);
+    }
+    if (current.summaries !== undefined && manifest.summaries !== current.summaries) {
+      differences.push(`summary settings ${manifest.summaries || "off"} vs ${current.summaries || "off"}`);
+    }
+    if (current.chunker !== undefined && JSON.stringify(manifest.chunker) !== JSON.stringify(current.chunker)) {
+      differences.push(`chunker ${IndexManifest.describeChunker(manifest.chunker)} vs ${IndexManifest.describeChunker(current.chunker)}`);
+    }
+
+    return differences;
+  }
+
+  /**
+   * Short form of chunker settings, e.g. "recursive (chunkSize=500, chunkOverlap=50)"
+   */
+  static describeChunker(chunker) {
+    const { type, ...settings } = chunker || {};
+    const params = Object.entries(settings).map(([key, value]) => `${key}=${value}`);
+    return `${type || "unknown"}${params.length > 0 ? ` (${params.join(", ")})` : ""}`;
+  }
+}
@@ -1,13 +1,50 @@
 import fs from "fs";
-import pdf from "pdf-parse";
+import path from "path";
+import crypto from "crypto";
 import OpenAI from "openai";
 import * as lancedb from "@lancedb/lancedb";
 import { ImageExtractor } from "./imageExtraction.js";
 import { ImageProcessor } from "./imageProcessing.js";
+import { DocumentLoaderRegistry } from "./documentLoaders.js";
+import { createChunker } from "./chunking.js";
+import { EmbeddingCache } from "./embeddingCache.js";
+import { IndexManifest, DISTANCE_METRICS } from "./indexManifest.js";
+import { withRetry, isInputTooLargeError } from "./retry.js";
+import { ChunkDeduplicator } from "./deduplication.js";
+import { ChunkContextualizer } from "./contextualizer.js";
+import { Redactor } from "./redaction.js";
+import { DocumentSummarizer } from "./summarizer.js";
+import { sqlString } from "./sql.js";
+
+// Columns every row of the "documents" table carries; older tables missing any of them are rebuilt
+const INDEX_COLUMNS = [
+  "text",
+  "vector",
+  "id",
+  "contentType",
+  "level",
+  "sourcePath",
+  "sourceTitle",
+  "documentId",
+  "documentHash",
+  "modifiedAt",
+  "chunkHash",
+  "pageNumber",
+  "sectionPath",
+  "parentId",
+  "context",
+  "charStart",
+  "charEnd",
+  "ocr",
+  "ocrConfidence",
+  "imagePath",
+  "ocrText",
+  "visionDescription",
+];
 
 /**
  * Indexing Module
- * Handles PDF processing, text extraction, image extraction/processing, and embedding generation
+ * Handles document loading, text extraction, image extraction/processing, and embedding generation
  */
 
 export class Indexer {
@@ -15,8 +52,70 @@ export class Indexer {
     this.openai = new OpenAI({
       apiKey: "api_key",
       baseURL: "http://localhost:1234/v1",
+      maxRetries: 0, // Retries are handled by withRetry so they can be configured and logged
+      timeout: parseInt(process.env.EMBEDDING_TIMEOUT_MS, 10) || 60000,
     });
     this.embeddingModel = process.env.EMBEDDING_MODEL; // Same model for indexing and retrieval
+    this.loaders = new DocumentLoaderRegistry();
+    this.enableEmbeddingCache = process.env.EMBEDDING_CACHE !== "false";
+    this.embeddingCache = null; // Opened per run, in the database being indexed
+    this.embeddingCheckpoint = null; // Used instead of the cache to resume interrupted runs when it is disabled
+    // Optional LLM-generated context per chunk, opened per run like the cache
+    this.enableContextualHeaders = process.env.CONTEXTUAL_HEADERS === "true";
+    this.contextualizer = null;
+    // Optional tree of LLM summaries (chunk groups, sections, document) stored as extra rows
+    this.enableSummaries = process.env.SUMMARIES === "true";
+    this.summarizer = null;
+
+    // Embedding requests: batch size, parallel requests and retries of transient failures
+    this.embeddingBatchSize = parseInt(process.env.EMBEDDING_BATCH_SIZE, 10) || 20;
+    this.embeddingConcurrency = parseInt(process.env.EMBEDDING_CONCURRENCY, 10) || 2;
+    const maxRetries = parseInt(process.env.EMBEDDING_MAX_RETRIES, 10);
+    this.embeddingMaxRetries = Number.isFinite(maxRetries) ? maxRetries : 5;
+
+    // Redact personal data and secrets before anything is embedded or stored
+    this.redactor = process.env.REDACTION === "true" ? new Redactor() : null;
+    this.redactionReportPath = process.env.REDACTION_REPORT || "./redaction-report.json";
+
+    // Drop exact and near-duplicate chunks (repeated boilerplate) before embedding
+    this.deduplicator = process.env.DEDUP !== "false"
+      ? new ChunkDeduplicator({ threshold: parseFloat(process.env.DEDUP_THRESHOLD) || 0.9 })
+      : null;
+
+    // Distance metric the vectors are meant to be compared with; recorded in the manifest so
+    // queries use the same one unless they set DISTANCE_METRIC themselves
+    this.distanceMetric = process.env.DISTANCE_METRIC || "l2";
+    if (!DISTANCE_METRICS.includes(this.distanceMetric)) {
+      throw new Error(`Unknown distance metric "${this.distanceMetric}" (expected ${DISTANCE_METRICS.join(", ")})`);
+    }
+
+    // ANN index on the vector column once the table has VECTOR_INDEX_MIN_ROWS rows; smaller
+    // tables are scanned exhaustively, which is fast enough and exact
+    this.vectorIndexType = process.env.VECTOR_INDEX || "ivf-pq";
+    if (!["ivf-pq", "hnsw-pq", "hnsw-sq", "none"].includes(this.vectorIndexType)) {
+      throw new Error(`Unknown vector index "${this.vectorIndexType}" (expected ivf-pq, hnsw-pq, hnsw-sq or none)`);
+    }
+    this.vectorIndexMinRows = parseInt(process.env.VECTOR_INDEX_MIN_ROWS, 10) || 10000;
+    this.vectorIndexPartitions = parseInt(process.env.VECTOR_INDEX_PARTITIONS, 10) || undefined; // LanceDB default: sqrt(rows)
+    this.vectorIndexSubVectors = parseInt(process.env.VECTOR_INDEX_SUB_VECTORS, 10) || undefined; // LanceDB default: dimension / 16
+
+    // Chunking strategy: recursive (default), token or semantic
+    this.chunker = createChunker({
+      type: process.env.CHUNKER || "recursive",
+      chunkSize: parseInt(process.env.CHUNK_SIZE, 10),
+      chunkOverlap: parseInt(process.env.CHUNK_OVERLAP, 10),
+      maxTokens: parseInt(process.env.EMBEDDING_MAX_TOKENS, 10) || undefined,
+      breakpointPercentile: parseFloat(process.env.SEMANTIC_BREAKPOINT_PERCENTILE) || undefined,
+      embed: (texts) => this.embedUncached(texts),
+    });
+
+    // Small-to-big: sections are split into parent windows of up to PARENT_CHUNK_SIZE characters,
+    // and the chunker splits each window into the child chunks that get embedded
+    this.parentChunker = createChunker({
+      type: "recursive",
+      chunkSize: parseInt(process.env.PARENT_CHUNK_SIZE, 10) || 2000,
+      chunkOverlap: 0,
+    });
     this.enableImageProcessing = process.env.ENABLE_IMAGE_PROCESSING !== "false";
     
     // Initialize image processing components (only if dependencies are available)
@@ -33,76 +132,260 @@ export class Indexer {
   }
 
   /**
-   * Extract text from PDF file
+   * Resolve document sources into a sorted list of file paths
+   * Accepts a single file, a directory (searched recursively), a glob pattern,
+   * or a comma-separated list of any of these
    */
-  async extractTextFromPDF(pdfPath) {
-    try {
-      const dataBuffer = fs.readFileSync(pdfPath);
-      const data = await pdf(dataBuffer);
+  resolveSources(sourceInput) {
+    const entries = (Array.isArray(sourceInput) ? sourceInput : String(sourceInput).split(","))
+      .map((entry) => entry.trim())
+      .filter((entry) => entry.length > 0);
+    const files = new Set();
 
-      console.log(`✓ PDF loaded: ${data.numpages} pages`);
-      console.log(`✓ Text extracted: ${data.text.length} characters`);
+    for (const entry of entries) {
+      if (/[*?]/.test(entry)) {
+        // Glob pattern: walk from the static part of the pattern and match full paths
+        const pattern = this.globToRegExp(path.resolve(entry));
+        const baseDir = path.resolve(entry.split(/[*?]/)[0].replace(/[^/\\]*$/, "") || ".");
+        this.walkDirectory(baseDir)
+          .filter((file) => pattern.test(file))
+          .forEach((file) => files.add(file));
+      } else if (fs.existsSync(entry) && fs.statSync(entry).isDirectory()) {
+        this.walkDirectory(path.resolve(entry))
+          .filter((file) => this.isSupportedFile(file))
+          .forEach((file) => files.add(file));
+      } else if (fs.existsSync(entry)) {
+        files.add(path.resolve(entry));
+      } else {
+        console.warn(`⚠ Document source not found: ${entry}`);
+      }
+    }
 
-      return data.text;
-    } catch (error) {
-      console.error("Error extracting text from PDF:", error);
-      throw error;
+    return [...files].sort();
+  }
+
+  /**
+   * Recursively list all files below a directory
+   */
+  walkDirectory(dir) {
+    if (!fs.existsSync(dir)) {
+      return [];
     }
+
+    const files = [];
+    for (const dirent of fs.readdirSync(dir, { withFileTypes: true })) {
+      const fullPath = path.join(dir, dirent.name);
+      if (dirent.isDirectory()) {
+        files.push(...this.walkDirectory(fullPath));
+      } else if (dirent.isFile()) {
+        files.push(fullPath);
+      }
+    }
+    return files;
   }
 
   /**
-   * Split text into chunks for better retrieval
+   * Convert a glob pattern (*, **, ?) into a regular expression over full paths
    */
-  chunkText(text, chunkSize = 500, overlap = 50) {
-    const chunks = [];
-    const sentences = text.split(/[.!?]\s+/);
-    let currentChunk = "";
-
-    for (const sentence of sentences) {
-      if (
-        (currentChunk + sentence).length > chunkSize &&
-        currentChunk.length > 0
-      ) {
-        chunks.push(currentChunk.trim());
-        // Keep overlap by taking last few words
-        const words = currentChunk.split(" ");
-        currentChunk = words.slice(-overlap / 10).join(" ") + " " + sentence;
+  globToRegExp(pattern) {
+    let regex = "";
+    for (let i = 0; i < pattern.length; i++) {
+      const char = pattern[i];
+      if (char === "*" && pattern[i + 1] === "*") {
+        // "**/" matches zero or more directories
+        const followedBySeparator = pattern[i + 2] === "/" || pattern[i + 2] === "\\";
+        regex += followedBySeparator ? "(?:.*[/\\\\])?" : ".*";
+        i += followedBySeparator ? 2 : 1;
+      } else if (char === "*") {
+        regex += "[^/\\\\]*";
+      } else if (char === "?") {
+        regex += "[^/\\\\]";
+      } else if (char === "/" || char === "\\") {
+        regex += "[/\\\\]";
       } else {
-        currentChunk += sentence + ". ";
+        regex += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
       }
     }
+    return new RegExp(`^${regex}$`);
+  }
 
-    if (currentChunk.trim().length > 0) {
-      chunks.push(currentChunk.trim());
+  /**
+   * Check whether a file can be indexed
+   */
+  isSupportedFile(filePath) {
+    return this.loaders.getLoader(filePath) !== null;
+  }
+
+  /**
+   * Build provenance metadata for a source document
+   * The document id is derived from the path so it stays stable across runs
+   */
+  getDocumentInfo(filePath, title = null) {
+    const sourcePath = path.relative(process.cwd(), filePath) || filePath;
+    return {
+      sourcePath,
+      sourceTitle: title && title.trim().length > 0 ? title.trim() : path.basename(filePath, path.extname(filePath)),
+      documentId: crypto.createHash("sha256").update(sourcePath).digest("hex").substring(0, 16),
+    };
+  }
+
+  /**
+   * Split text into chunks for better retrieval using the configured chunker
+   * Returns [{ text, charStart, charEnd }] with offsets relative to the given text
+   */
+  async chunkText(text) {
+    return await this.chunker.chunk(text);
+  }
+
+  /**
+   * Split each section (text under one heading, on one page) into parent windows
+   * Sections up to PARENT_CHUNK_SIZE characters are a single window
+   */
+  buildParentWindows(sections, documentId = "") {
+    const parents = [];
+
+    for (const section of sections) {
+      for (const window of this.parentChunker.chunkSync(section.text)) {
+        const charStart = section.startOffset + window.charStart;
+        parents.push({
+          parentId: `${documentId}-${crypto.createHash("sha256").update(JSON.stringify([charStart, window.text])).digest("hex").substring(0, 12)}`,
+          documentId,
+          text: window.text,
+          pageNumber: section.pageNumber || 0,
+          sectionPath: section.sectionPath || "",
+          charStart,
+          charEnd: section.startOffset + window.charEnd,
+          ocr: section.ocr || false,
+          ocrConfidence: section.ocrConfidence || 0,
+        });
+      }
+    }
+
+    return parents;
+  }
+
+  /**
+   * Chunk each parent window separately so chunks never cross a section boundary and
+   * every chunk knows its parent window, page number and section path.
+   * Offsets are converted to document-relative. Returns { chunks, parents }
+   */
+  async chunkSections(sections, documentId = "") {
+    const parents = this.buildParentWindows(sections, documentId);
+    const chunks = [];
+
+    for (const parent of parents) {
+      for (const chunk of await this.chunkText(parent.text)) {
+        chunks.push({
+          text: chunk.text,
+          pageNumber: parent.pageNumber,
+          sectionPath: parent.sectionPath,
+          parentId: parent.parentId,
+          charStart: parent.charStart + chunk.charStart,
+          charEnd: parent.charStart + chunk.charEnd,
+          ocr: parent.ocr,
+          ocrConfidence: parent.ocrConfidence,
+        });
+      }
     }
 
-    console.log(`✓ Text split into ${chunks.length} chunks`);
+    console.log(
+      `✓ Text split into ${chunks.length} chunks in ${parents.length} parent window(s) across ${sections.length} section(s) (${this.chunker.name} chunker)`
+    );
+    return { chunks, parents };
+  }
+
+  /**
+   * Render a detected table as Markdown, headed by its caption and page number
+   * Tables longer than maxChars are split into row groups that each repeat the header row
+   */
+  tableToChunks(table, maxChars = 2000) {
+    const escapeCell = (cell) => cell.replace(/\|/g, "\\|");
+    const toRow = (cells) => `| ${cells.map(escapeCell).join(" | ")} |`;
+    const [header, ...body] = table.rows;
+    const title = `${table.caption || "Table"} (Page ${table.pageNumber})`;
+    const head = [toRow(header), toRow(header.map(() => "---"))];
+
+    const chunks = [];
+    let rows = [];
+    for (const row of body) {
+      const candidate = [title, "", ...head, ...rows, toRow(row)].join("\n");
+      if (rows.length > 0 && candidate.length > maxChars) {
+        chunks.push([title, "", ...head, ...rows].join("\n"));
+        rows = [];
+      }
+      rows.push(toRow(row));
+    }
+    chunks.push([title, "", ...head, ...rows].join("\n"));
+
     return chunks;
   }
 
   /**
    * Generate embeddings for text chunks using OpenAI
+   * Batches are sent EMBEDDING_CONCURRENCY at a time; each completed batch is written
+   * to the embedding cache (or the checkpoint table when the cache is disabled), so an
+   * interrupted run picks up where it stopped
    */
   async generateEmbeddings(textChunks) {
     try {
       console.log("Generating embeddings...");
-      const embeddings = [];
-
-      // Process in batches to avoid rate limits
-      const batchSize = 20;
-      for (let i = 0; i < textChunks.length; i += batchSize) {
-        const batch = textChunks.slice(i, i + batchSize);
-        const response = await this.openai.embeddings.create({
-          model: this.embeddingModel,
-          input: batch,
-        });
 
-        embeddings.push(...response.data.map((item) => item.embedding));
-        console.log(
-          `  Progress: ${Math.min(i + batchSize, textChunks.length)}/${
-            textChunks.length
-          } chunks`
-        );
+      // Reuse stored embeddings and only send the misses to the model
+      const store = this.embeddingCache || this.embeddingCheckpoint;
+      const embeddings = store
+        ? await store.getMany(textChunks)
+        : new Array(textChunks.length).fill(null);
+      const missingIndexes = [];
+      embeddings.forEach((embedding, idx) => {
+        if (!embedding) {
+          missingIndexes.push(idx);
+        }
+      });
+      if (this.embeddingCache) {
+        console.log(`  Cache: ${textChunks.length - missingIndexes.length} hits, ${missingIndexes.length} misses`);
+      } else if (store && missingIndexes.length < textChunks.length) {
+        console.log(`  Resuming: ${textChunks.length - missingIndexes.length} embeddings recovered from checkpoint`);
+      }
+
+      const batches = [];
+      for (let i = 0; i < missingIndexes.length; i += this.embeddingBatchSize) {
+        batches.push(missingIndexes.slice(i, i + this.embeddingBatchSize));
+      }
+
+      // Workers take the next batch until none are left or one of them fails
+      let nextBatch = 0;
+      let completed = 0;
+      let failure = null;
+      let storeWrites = Promise.resolve();
+      const worker = async () => {
+        while (nextBatch < batches.length && !failure) {
+          const batchIndexes = batches[nextBatch++];
+          const batch = batchIndexes.map((idx) => textChunks[idx]);
+          try {
+            const batchEmbeddings = await this.embedBatch(batch);
+            batchIndexes.forEach((idx, j) => {
+              embeddings[idx] = batchEmbeddings[j];
+            });
+            if (store) {
+              // One write at a time keeps concurrent appends to the table ordered
+              storeWrites = storeWrites.then(() => store.putMany(batch, batchEmbeddings));
+              await storeWrites;
+            }
+            completed += batch.length;
+            console.log(`  Progress: ${completed}/${missingIndexes.length} chunks`);
+          } catch (error) {
+            failure = failure || error;
+          }
+        }
+      };
+      await Promise.all(
+        Array.from({ length: Math.min(this.embeddingConcurrency, batches.length) }, () => worker())
+      );
+      if (failure) {
+        if (store) {
+          console.error(`  ${completed}/${missingIndexes.length} new embeddings were saved; re-run indexing to resume`);
+        }
+        throw failure;
       }
 
       console.log(`✓ Generated ${embeddings.length} embeddings`);
@@ -113,71 +396,239 @@ export class Indexer {
     }
   }
 
+  /**
+   * Embed texts that are only needed during this run (semantic chunking's sentences)
+   * Bypasses the embedding cache and checkpoint, so they neither fill the cache nor
+   * count towards its hit rate
+   */
+  async embedUncached(texts) {
+    const embeddings = [];
+    for (let i = 0; i < texts.length; i += this.embeddingBatchSize) {
+      embeddings.push(...(await this.embedBatch(texts.slice(i, i + this.embeddingBatchSize))));
+    }
+    return embeddings;
+  }
+
+  /**
+   * Embed one batch, retrying transient failures
+   * A batch rejected for exceeding the model's input limit is split in half and retried
+   */
+  async embedBatch(batch) {
+    try {
+      const response = await withRetry(
+        () => this.openai.embeddings.create({ model: this.embeddingModel, input: batch }),
+        { retries: this.embeddingMaxRetries, label: "Embedding request" }
+      );
+      return [...response.data].sort((a, b) => a.index - b.index).map((item) => item.embedding);
+    } catch (error) {
+      if (!isInputTooLargeError(error)) {
+        throw error;
+      }
+      if (batch.length === 1) {
+        throw new Error(
+          `Chunk of ${batch[0].length} characters exceeds the input limit of ${this.embeddingModel}; lower CHUNK_SIZE (${error.message})`
+        );
+      }
+      const half = Math.ceil(batch.length / 2);
+      console.warn(`⚠ Batch of ${batch.length} exceeds the model's input limit, splitting into ${half} + ${batch.length - half}`);
+      return [...(await this.embedBatch(batch.slice(0, half))), ...(await this.embedBatch(batch.slice(half)))];
+    }
+  }
+
+  /**
+   * Hash a source file's contents to detect changed documents
+   */
+  hashFile(filePath) {
+    return crypto.createHash("sha256").update(fs.readFileSync(filePath)).digest("hex");
+  }
+
+  /**
+   * Hash a chunk from the text that gets embedded plus the metadata stored with it
+   */
+  hashChunk(chunk, embeddingText) {
+    const fingerprint = JSON.stringify([
+      embeddingText,
+      chunk.contentType || "text",
+      chunk.level || 0,
+      chunk.pageNumber || 0,
+      chunk.parentId || "",
+    ]);
+    return crypto.createHash("sha256").update(fingerprint).digest("hex");
+  }
+
+  /**
+   * Load the documents already stored in LanceDB, keyed by document id
+   * Returns null when there is no usable table and a full rebuild is needed
+   */
+  async loadIndexedDocuments(dbPath = "./lancedb") {
+    try {
+      const db = await lancedb.connect(dbPath);
+      const tableNames = await db.tableNames();
+      if (!tableNames.includes("documents")) {
+        return null;
+      }
+
+      const table = await db.openTable("documents");
+      const schema = await table.schema();
+      const existingColumns = schema.fields.map((field) => field.name);
+      const missingColumns = INDEX_COLUMNS.filter((column) => !existingColumns.includes(column));
+      if (missingColumns.length > 0) {
+        console.log(`ℹ  Existing table lacks columns (${missingColumns.join(", ")}), rebuilding from scratch`);
+        return null;
+      }
+
+      const rows = await table
+        .query()
+        .select(["id", "documentId", "documentHash", "chunkHash"])
+        .toArray();
+
+      const documents = new Map();
+      let maxId = -1;
+      for (const row of rows) {
+        if (!documents.has(row.documentId)) {
+          documents.set(row.documentId, { documentHash: row.documentHash, rows: [] });
+        }
+        documents.get(row.documentId).rows.push({ id: Number(row.id), chunkHash: row.chunkHash });
+        maxId = Math.max(maxId, Number(row.id));
+      }
+
+      console.log(`✓ Existing index: ${documents.size} document(s), ${rows.length} chunks`);
+      return { documents, nextId: maxId + 1 };
+    } catch (error) {
+      console.warn(`⚠ Could not read existing index, rebuilding from scratch: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Convert chunks and embeddings into LanceDB rows
+   * Every row carries the full set of columns so new rows can be appended to an existing table
+   */
+  buildRows(chunks, embeddings, startId = 0) {
+    // chunks can be either strings (text) or objects (with text, contentType, pageNumber, etc.)
+    return chunks.map((chunk, index) => {
+      const chunkData = {
+        text: typeof chunk === "string" ? chunk : chunk.text || chunk.combinedDescription,
+        vector: embeddings[index],
+        id: startId + index,
+        contentType: "text",
+        level: 0, // 0 for document content, 1-3 for summaries
+        sourcePath: "unknown",
+        sourceTitle: "unknown",
+        documentId: "unknown",
+        documentHash: "",
+        modifiedAt: "", // ISO time the source file was last modified
+        chunkHash: "",
+        // Optional fields use empty defaults instead of null (LanceDB can't infer a type from all nulls)
+        pageNumber: 0,
+        sectionPath: "",
+        parentId: "",
+        context: "",
+        charStart: 0,
+        charEnd: 0,
+        ocr: false, // Text read by OCR from a scanned page, with the OCR confidence (0-100)
+        ocrConfidence: 0,
+        imagePath: "",
+        ocrText: "",
+        visionDescription: "",
+      };
+
+      // Add metadata if chunk is an object
+      if (typeof chunk === "object") {
+        chunkData.contentType = chunk.contentType || "text";
+        chunkData.level = chunk.level || 0;
+        chunkData.sourcePath = chunk.sourcePath || "unknown";
+        chunkData.sourceTitle = chunk.sourceTitle || "unknown";
+        chunkData.documentId = chunk.documentId || "unknown";
+        chunkData.documentHash = chunk.documentHash || "";
+        chunkData.modifiedAt = chunk.modifiedAt || "";
+        chunkData.chunkHash = chunk.chunkHash || "";
+        chunkData.pageNumber = chunk.pageNumber || 0;
+        chunkData.sectionPath = chunk.sectionPath || "";
+        chunkData.parentId = chunk.parentId || "";
+        chunkData.context = chunk.context || "";
+        chunkData.charStart = chunk.charStart || 0;
+        chunkData.charEnd = chunk.charEnd || 0;
+        chunkData.ocr = chunk.ocr || false;
+        chunkData.ocrConfidence = chunk.ocrConfidence || 0;
+        chunkData.imagePath = chunk.imagePath || "";
+        chunkData.ocrText = chunk.ocrText || "";
+        chunkData.visionDescription = chunk.visionDescription || "";
+        // Ensure text field has meaningful content for semantic search
+        if (!chunkData.text || chunkData.text.trim().length === 0) {
+          // Create a semantic description from available metadata
+          const semanticParts = [];
+          if (chunk.ocrText) semanticParts.push(`Contains text: ${chunk.ocrText}`);
+          if (chunk.visionDescription) semanticParts.push(`Visual content: ${chunk.visionDescription}`);
+          if (chunk.pageNumber) semanticParts.push(`From page ${chunk.pageNumber}`);
+          chunkData.text = semanticParts.length > 0 
+            ? semanticParts.join(". ") 
+            : `Image content from page ${chunk.pageNumber || 'unknown'}`;
+        }
+      }
+
+      return chunkData;
+    });
+  }
+
   /**
    * Store embeddings in LanceDB
-   * Now supports both text and image chunks
+   * Without changes the table is rebuilt from scratch; with changes, rows of removed
+   * or changed documents are deleted, reused rows are refreshed and new rows appended
    */
-  async storeInVectorDB(chunks, embeddings, dbPath = "./lancedb") {
+  async storeInVectorDB(chunks, embeddings, dbPath = "./lancedb", changes = null) {
     try {
       console.log("Storing embeddings in LanceDB...");
 
       // Connect to LanceDB
       const db = await lancedb.connect(dbPath);
+      const tableName = "documents";
 
-      // Prepare data for storage
-      // chunks can be either strings (text) or objects (with text, contentType, pageNumber, etc.)
-      const data = chunks.map((chunk, index) => {
-        const chunkData = {
-          text: typeof chunk === "string" ? chunk : chunk.text || chunk.combinedDescription,
-          vector: embeddings[index],
-          id: index,
-        };
-
-        // Add metadata if chunk is an object
-        if (typeof chunk === "object") {
-          chunkData.contentType = chunk.contentType || "text";
-          // Only include pageNumber if it's not null/undefined (LanceDB can't handle all nulls)
-          if (chunk.pageNumber !== null && chunk.pageNumber !== undefined) {
-            chunkData.pageNumber = chunk.pageNumber;
-          }
-          if (chunk.imagePath) {
-            chunkData.imagePath = chunk.imagePath;
-          }
-          if (chunk.ocrText) {
-            chunkData.ocrText = chunk.ocrText;
-          }
-          if (chunk.visionDescription) {
-            chunkData.visionDescription = chunk.visionDescription;
-          }
-          // Ensure text field has meaningful content for semantic search
-          if (!chunkData.text || chunkData.text.trim().length === 0) {
-            // Create a semantic description from available metadata
-            const semanticParts = [];
-            if (chunk.ocrText) semanticParts.push(`Contains text: ${chunk.ocrText}`);
-            if (chunk.visionDescription) semanticParts.push(`Visual content: ${chunk.visionDescription}`);
-            if (chunk.pageNumber) semanticParts.push(`From page ${chunk.pageNumber}`);
-            chunkData.text = semanticParts.length > 0 
-              ? semanticParts.join(". ") 
-              : `Image content from page ${chunk.pageNumber || 'unknown'}`;
-          }
-        } else {
-          chunkData.contentType = "text";
+      if (!changes) {
+        // Create or overwrite table
+        if (chunks.length === 0) {
+          throw new Error("No chunks to store");
+        }
+        const data = this.buildRows(chunks, embeddings);
+        try {
+          await db.dropTable(tableName);
+        } catch (error) {
+          // Table doesn't exist, that's fine
         }
 
-        return chunkData;
-      });
+        const table = await db.createTable(tableName, data);
 
-      // Create or overwrite table
-      const tableName = "documents";
-      try {
-        await db.dropTable(tableName);
-      } catch (error) {
-        // Table doesn't exist, that's fine
+        console.log(`✓ Stored ${data.length} embeddings in LanceDB`);
+        return table;
       }
 
-      const table = await db.createTable(tableName, data);
+      const table = await db.openTable(tableName);
+      const { removeDocumentIds = [], removeRowIds = [], refreshDocuments = [], nextId = 0 } = changes;
 
-      console.log(`✓ Stored ${data.length} embeddings in LanceDB`);
+      if (removeDocumentIds.length > 0) {
+        await table.delete(`\`documentId\` IN (${removeDocumentIds.map(sqlString).join(", ")})`);
+      }
+      if (removeRowIds.length > 0) {
+        await table.delete(`id IN (${removeRowIds.join(", ")})`);
+      }
+
+      // Rows kept from a changed document must point at the document's new hash
+      for (const document of refreshDocuments) {
+        await table.update({
+          where: `\`documentId\` = ${sqlString(document.documentId)}`,
+          values: {
+            documentHash: document.documentHash,
+            modifiedAt: document.modifiedAt,
+            sourceTitle: document.sourceTitle,
+          },
+        });
+      }
+
+      if (chunks.length > 0) {
+        await table.add(this.buildRows(chunks, embeddings, nextId));
+      }
+
+      console.log(`✓ Appended ${chunks.length} embeddings to LanceDB`);
       return table;
     } catch (error) {
       console.error("Error storing in vector DB:", error);
@@ -185,6 +636,171 @@ export class Indexer {
     }
   }
 
+  /**
+   * Build the full-text (BM25) index on the text column used by hybrid search
+   * The index does not follow appends or updates, so it is rebuilt whenever the table
+   * changed; without changes it is only built when missing
+   */
+  async buildTextIndex(table, changed = true) {
+    try {
+      const indices = await table.listIndices();
+      if (!changed && indices.some((index) => index.columns.includes("text"))) {
+        return;
+      }
+      await table.createIndex("text", { config: lancedb.Index.fts(), replace: true });
+      console.log("✓ Full-text index built on the text column");
+    } catch (error) {
+      console.warn(`⚠ Could not build the full-text index, queries will use vector search only: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build the ANN index on the vector column once the table is large enough
+   * An existing index is kept while most rows are in it (LanceDB scans the rows added
+   * since then exhaustively), and rebuilt when over 10% of the rows are not indexed or
+   * the distance metric changed.
+   */
+  async buildVectorIndex(table, metricChanged = false) {
+    if (this.vectorIndexType === "none") {
+      return;
+    }
+    try {
+      const rowCount = await table.countRows();
+      const existing = (await table.listIndices()).find((index) => index.columns.includes("vector"));
+      if (!existing && rowCount < this.vectorIndexMinRows) {
+        return;
+      }
+      if (existing && !metricChanged) {
+        const stats = await table.indexStats(existing.name);
+        if (!stats || stats.numUnindexedRows <= rowCount * 0.1) {
+          return;
+        }
+      }
+
+      const options = {
+        distanceType: this.distanceMetric,
+        ...(this.vectorIndexPartitions && { numPartitions: this.vectorIndexPartitions }),
+      };
+      const config = {
+        "ivf-pq": () => lancedb.Index.ivfPq({ ...options, ...(this.vectorIndexSubVectors && { numSubVectors: this.vectorIndexSubVectors }) }),
+        "hnsw-pq": () => lancedb.Index.hnswPq({ ...options, ...(this.vectorIndexSubVectors && { numSubVectors: this.vectorIndexSubVectors }) }),
+        "hnsw-sq": () => lancedb.Index.hnswSq(options),
+      }[this.vectorIndexType]();
+
+      console.log(`Building ${this.vectorIndexType} vector index on ${rowCount} rows (${this.distanceMetric} distance)...`);
+      const start = Date.now();
+      await table.createIndex("vector", { config, replace: true });
+      console.log(`✓ Vector index built in ${((Date.now() - start) / 1000).toFixed(1)}s`);
+    } catch (error) {
+      console.warn(`⚠ Could not build the vector index, queries will scan all vectors: ${error.message}`);
+    }
+  }
+
+  /**
+   * Store the parent windows that child chunks expand to at query time
+   * Parents live in the "parent_chunks" table without vectors. Without replaceDocumentIds
+   * the table is rebuilt; otherwise the parents of those documents are replaced.
+   */
+  async storeParentChunks(parents, dbPath = "./lancedb", replaceDocumentIds = null) {
+    const db = await lancedb.connect(dbPath);
+    const tableName = "parent_chunks";
+    const rows = parents.map((parent) => ({
+      parentId: parent.parentId,
+      documentId: parent.documentId,
+      sourcePath: parent.sourcePath || "unknown",
+      sourceTitle: parent.sourceTitle || "unknown",
+      text: parent.text,
+      pageNumber: parent.pageNumber || 0,
+      sectionPath: parent.sectionPath || "",
+      charStart: parent.charStart || 0,
+      charEnd: parent.charEnd || 0,
+    }));
+    const tableNames = await db.tableNames();
+
+    if (!replaceDocumentIds || !tableNames.includes(tableName)) {
+      if (tableNames.includes(tableName)) {
+        await db.dropTable(tableName);
+      }
+      if (rows.length > 0) {
+        await db.createTable(tableName, rows);
+      }
+    } else {
+      const table = await db.openTable(tableName);
+      if (replaceDocumentIds.length > 0) {
+        await table.delete(`\`documentId\` IN (${replaceDocumentIds.map(sqlString).join(", ")})`);
+      }
+      if (rows.length > 0) {
+        await table.add(rows);
+      }
+    }
+
+    console.log(`✓ Stored ${rows.length} parent windows`);
+  }
+
+  /**
+   * Build the text that gets embedded for a chunk
+   * Ensure we have valid, meaningful text for each chunk
+   */
+  getEmbeddingText(chunk, idx) {
+    if (typeof chunk === "string") {
+      return chunk;
+    }
+    // For image chunks, prioritize OCR TEXT - this is the actual content!
+    // OCR text contains the real semantic content from images
+    let text = null;
+    
+    // PRIORITY 1: If we have OCR text, use it as the primary content
+    if (chunk.ocrText && chunk.ocrText.trim().length > 0) {
+      // OCR text is the actual readable content - this is what we want to search
+      text = `Image from page ${chunk.pageNumber || 'unknown'}: ${chunk.ocrText}`;
+      if (chunk.visionDescription) {
+        text += ` Visual context: ${chunk.visionDescription}`;
+      }
+    } 
+    // PRIORITY 2: Use combinedDescription (which should include OCR text)
+    else if (chunk.combinedDescription && chunk.combinedDescription.trim().length > 0) {
+      text = chunk.combinedDescription;
+    }
+    // PRIORITY 3: Use vision description if available
+    else if (chunk.visionDescription && chunk.visionDescription.trim().length > 0) {
+      text = `Image from page ${chunk.pageNumber || 'unknown'}: ${chunk.visionDescription}`;
+    }
+    // PRIORITY 4: Fallback to generic description
+    // Text chunks are embedded with their generated context and section path so they keep their subject
+    else if (chunk.text && chunk.text.trim().length > 0) {
+      text = [chunk.context, chunk.sectionPath, chunk.text].filter(Boolean).join("\n\n");
+    }
+    // PRIORITY 5: Create from available metadata
+    else {
+      const parts = [];
+      if (chunk.ocrText) {
+        parts.push(`Text content: ${chunk.ocrText}`);
+      }
+      if (chunk.visionDescription) {
+        parts.push(`Visual description: ${chunk.visionDescription}`);
+      }
+      if (chunk.pageNumber) {
+        parts.push(`From page ${chunk.pageNumber}`);
+      }
+      text = parts.length > 0 
+        ? parts.join(". ") 
+        : `Image content from page ${chunk.pageNumber || 'unknown'} containing visual information`;
+    }
+    
+    // Ensure text is not empty and has semantic value
+    if (!text || text.trim().length === 0) {
+      console.warn(`  ⚠ Empty chunk at index ${idx}, using fallback description`);
+      return `Visual content from page ${chunk.pageNumber || 'unknown'} with graphical elements, diagrams, or illustrations`;
+    }
+    
+    // Log image chunk content for debugging
+    if (chunk.contentType === "image") {
+      console.log(`  Image chunk ${idx}: ${text.substring(0, 100)}...`);
+    }
+    
+    return text;
+  }
+
   /**
    * Process images from PDF and create chunks
    */
@@ -232,98 +848,266 @@ export class Indexer {
   }
 
   /**
-   * Main indexing pipeline
-   * Now includes image extraction and processing
+   * Process a single document into text, table, image and summary chunks
+   * Every chunk carries the provenance (source path, title, document id) of its document
    */
-  async indexPDF(pdfPath, dbPath = "./lancedb") {
-    console.log("\n=== INDEXING STEP ===\n");
+  async processDocument(filePath) {
+    console.log(`\n📄 Processing document: ${filePath}`);
 
-    // Step 1: Extract text from PDF
-    const text = await this.extractTextFromPDF(pdfPath);
+    // Load the document with the loader registered for its file type
+    const document = await this.loaders.load(filePath);
+    // Redacted before anything is derived from it: the title and heading paths are stored and embedded too
+    const redactionAudit = this.redactor ? this.redactor.redactDocument(document) : [];
+    const documentInfo = this.getDocumentInfo(filePath, document.title);
 
-    // Step 2: Split text into chunks
-    const textChunks = this.chunkText(text);
-    const textChunkObjects = textChunks.map((chunk) => ({
-      text: chunk,
+    // Split each section into parent windows and those into chunks
+    const { chunks, parents } = await this.chunkSections(document.sections, documentInfo.documentId);
+    const textChunks = chunks.map((chunk) => ({
+      ...chunk,
       contentType: "text",
+      ...documentInfo,
     }));
+    const parentChunks = parents.map((parent) => ({ ...parent, ...documentInfo }));
 
-    // Step 3: Extract and process images (if enabled)
+    // Every detected table becomes its own chunk (or several, for very large tables)
+    const tableChunks = (document.tables || []).flatMap((table) =>
+      this.tableToChunks(table).map((markdown) => ({
+        text: markdown,
+        contentType: "table",
+        pageNumber: table.pageNumber,
+        sectionPath: table.sectionPath || "",
+        charStart: table.startOffset,
+        charEnd: table.endOffset,
+        ...documentInfo,
+      }))
+    );
+
+    // Situate each text and table chunk within its document
+    if (this.contextualizer) {
+      await this.contextualizer.contextualize(document.text, [...textChunks, ...tableChunks]);
+    }
+
+    // Summaries are built from the (redacted, contextualized) text chunks
+    const summaryChunks = this.summarizer
+      ? (await this.summarizer.summarizeDocument(documentInfo.sourceTitle, textChunks)).map((chunk) => ({
+          ...chunk,
+          ...documentInfo,
+        }))
+      : [];
+
+    // Extract and process images (if enabled; PDF only)
     let imageChunks = [];
-    if (this.enableImageProcessing) {
-      imageChunks = await this.processImagesFromPDF(pdfPath);
+    if (this.enableImageProcessing && document.format === "pdf") {
+      const images = await this.processImagesFromPDF(filePath);
+      imageChunks = images.map((chunk) => ({ ...chunk, ...documentInfo }));
     }
 
-    // Step 4: Combine text and image chunks
-    let allChunks = [...textChunkObjects, ...imageChunks];
-    console.log(`✓ Total chunks to index: ${textChunks.length} text + ${imageChunks.length} image = ${allChunks.length} total\n`);
+    // OCR text and vision descriptions can contain the same data as the text layer
+    if (this.redactor) {
+      imageChunks.forEach((chunk) => redactionAudit.push(...this.redactor.redactImageChunk(chunk)));
+      const { total, byType } = Redactor.summarize(redactionAudit);
+      if (total > 0) {
+        const types = Object.entries(byType).map(([type, count]) => `${type} ×${count}`);
+        console.log(`🔒 Redacted ${total} value(s): ${types.join(", ")}`);
+      }
+    }
 
-    // Step 5: Generate embeddings for all chunks
-    // Ensure we have valid, meaningful text for each chunk
-    const chunkTexts = allChunks.map((chunk, idx) => {
-      if (typeof chunk === "string") {
-        return chunk;
-      }
-      // For image chunks, prioritize OCR TEXT - this is the actual content!
-      // OCR text contains the real semantic content from images
-      let text = null;
-      
-      // PRIORITY 1: If we have OCR text, use it as the primary content
-      if (chunk.ocrText && chunk.ocrText.trim().length > 0) {
-        // OCR text is the actual readable content - this is what we want to search
-        text = `Image from page ${chunk.pageNumber || 'unknown'}: ${chunk.ocrText}`;
-        if (chunk.visionDescription) {
-          text += ` Visual context: ${chunk.visionDescription}`;
-        }
-      } 
-      // PRIORITY 2: Use combinedDescription (which should include OCR text)
-      else if (chunk.combinedDescription && chunk.combinedDescription.trim().length > 0) {
-        text = chunk.combinedDescription;
-      }
-      // PRIORITY 3: Use vision description if available
-      else if (chunk.visionDescription && chunk.visionDescription.trim().length > 0) {
-        text = `Image from page ${chunk.pageNumber || 'unknown'}: ${chunk.visionDescription}`;
-      }
-      // PRIORITY 4: Fallback to generic description
-      else if (chunk.text && chunk.text.trim().length > 0) {
-        text = chunk.text;
-      }
-      // PRIORITY 5: Create from available metadata
-      else {
-        const parts = [];
-        if (chunk.ocrText) {
-          parts.push(`Text content: ${chunk.ocrText}`);
-        }
-        if (chunk.visionDescription) {
-          parts.push(`Visual description: ${chunk.visionDescription}`);
+    return {
+      textChunks,
+      tableChunks,
+      imageChunks,
+      summaryChunks,
+      parentChunks,
+      boilerplateLines: document.metadata?.boilerplateLines || 0,
+      ocrPages: document.metadata?.ocrPages || 0,
+      ocrFailedPages: document.metadata?.ocrFailedPages || 0,
+      redactionAudit,
+    };
+  }
+
+  /**
+   * Drop duplicate chunks, keeping the first occurrence
+   * Chunks are compared by their text (or embedding text, for images) within the same
+   * document and content type, so removing or changing one document never drops content
+   * kept only in another. Returns the indexes to keep and a report of what was dropped and why.
+   */
+  deduplicateChunks(chunks, embeddingTexts) {
+    const texts = chunks.map((chunk, idx) => chunk.text || embeddingTexts[idx]);
+    const { keep, dropped } = this.deduplicator.deduplicate(
+      texts,
+      chunks.map((chunk) => `${chunk.documentId || ""}:${chunk.contentType || "text"}`)
+    );
+
+    const report = { exact: 0, near: 0, examples: [] };
+    const byOriginal = new Map();
+    for (const { index, reason, duplicateOf } of dropped) {
+      report[reason]++;
+      byOriginal.set(duplicateOf, (byOriginal.get(duplicateOf) || 0) + 1);
+    }
+    // The most repeated texts make the most useful examples
+    report.examples = [...byOriginal.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 3)
+      .map(([index, count]) => ({ text: texts[index].replace(/\s+/g, " ").substring(0, 60), count }));
+
+    return { keep, report };
+  }
+
+  /**
+   * Main indexing pipeline
+   * Accepts a file, a directory, a glob pattern or a comma-separated list of them,
+   * and indexes every matching document into a single corpus.
+   * Indexing is incremental: unchanged documents are skipped, removed documents are
+   * deleted and only new chunks are embedded. Pass { rebuild: true } to start over,
+   * or { only: [paths] } to check just those documents and treat the others as unchanged.
+   */
+  async indexPDF(sourceInput, dbPath = "./lancedb", options = {}) {
+    let { rebuild = false } = options;
+    const only = options.only ? new Set(options.only.map((filePath) => path.resolve(filePath))) : null;
+    console.log("\n=== INDEXING STEP ===\n");
+
+    // Step 1: Resolve the documents to index
+    const sources = this.resolveSources(sourceInput);
+    if (sources.length === 0) {
+      throw new Error(`No supported documents found for: ${sourceInput}`);
+    }
+    console.log(`✓ Found ${sources.length} document(s) to index`);
+
+    if (this.enableEmbeddingCache) {
+      this.embeddingCache = new EmbeddingCache(dbPath, this.embeddingModel);
+    } else {
+      this.embeddingCheckpoint = new EmbeddingCache(dbPath, this.embeddingModel, "embedding_checkpoint");
+    }
+    if (this.enableContextualHeaders) {
+      this.contextualizer = new ChunkContextualizer(dbPath);
+    }
+    if (this.enableSummaries) {
+      this.summarizer = new DocumentSummarizer(dbPath);
+    }
+
+    // Vectors from another model or chunks from other chunker settings can't be mixed
+    // with new ones, so a settings change forces a full rebuild
+    const manifest = new IndexManifest(dbPath);
+    const previousManifest = rebuild ? null : await manifest.read().catch(() => null);
+    if (previousManifest) {
+      const differences = manifest.compare(previousManifest, {
+        embeddingModel: this.embeddingModel,
+        chunker: this.chunker.describe(),
+        contextModel: this.contextualizer ? this.contextualizer.model : "",
+        redaction: this.redactor ? this.redactor.describe() : "",
+        summaries: this.summarizer ? this.summarizer.describe() : "",
+      });
+      if (differences.length > 0) {
+        console.log(`ℹ  Index settings changed (${differences.join("; ")}), rebuilding from scratch`);
+        rebuild = true;
+      }
+    }
+
+    // Step 2: Load what is already indexed (skipped on rebuild or when no usable table exists)
+    const existingIndex = rebuild ? null : await this.loadIndexedDocuments(dbPath);
+    const indexedDocuments = existingIndex ? existingIndex.documents : new Map();
+    const summary = {
+      documentsAdded: 0,
+      documentsUpdated: 0,
+      documentsUnchanged: 0,
+      documentsRemoved: 0,
+      chunksAdded: 0,
+      chunksReused: 0,
+      chunksRemoved: 0,
+      dedup: { exact: 0, near: 0, headerFooterLines: 0 },
+      ocrPages: 0,
+      ocrFailedPages: 0,
+    };
+
+    // Step 3: Extract, chunk and process images for each new or changed document
+    const textChunks = [];
+    const tableChunks = [];
+    const imageChunks = [];
+    const summaryChunks = [];
+    const parentChunks = [];
+    const changedDocuments = [];
+    const redactedDocuments = [];
+    const currentDocumentIds = new Set();
+    for (const filePath of sources) {
+      const { documentId } = this.getDocumentInfo(filePath);
+      currentDocumentIds.add(documentId);
+
+      const indexed = indexedDocuments.get(documentId);
+      if (indexed && only && !only.has(filePath)) {
+        summary.documentsUnchanged++;
+        continue;
+      }
+
+      const documentHash = this.hashFile(filePath);
+      if (indexed && indexed.documentHash === documentHash) {
+        console.log(`  ✓ Unchanged, skipping: ${filePath}`);
+        summary.documentsUnchanged++;
+        continue;
+      }
+
+      try {
+        const documentChunks = await this.processDocument(filePath);
+        const modifiedAt = fs.statSync(filePath).mtime.toISOString();
+        for (const chunk of [
+          ...documentChunks.textChunks,
+          ...documentChunks.tableChunks,
+          ...documentChunks.imageChunks,
+          ...documentChunks.summaryChunks,
+        ]) {
+          chunk.documentHash = documentHash;
+          chunk.modifiedAt = modifiedAt;
         }
-        if (chunk.pageNumber) {
-          parts.push(`From page ${chunk.pageNumber}`);
+        textChunks.push(...documentChunks.textChunks);
+        tableChunks.push(...documentChunks.tableChunks);
+        imageChunks.push(...documentChunks.imageChunks);
+        summaryChunks.push(...documentChunks.summaryChunks);
+        parentChunks.push(...documentChunks.parentChunks);
+        summary.dedup.headerFooterLines += documentChunks.boilerplateLines;
+        summary.ocrPages += documentChunks.ocrPages;
+        summary.ocrFailedPages += documentChunks.ocrFailedPages;
+        redactedDocuments.push({
+          ...this.getDocumentInfo(filePath),
+          audit: documentChunks.redactionAudit,
+        });
+        changedDocuments.push({
+          documentId,
+          documentHash,
+          modifiedAt,
+          sourceTitle: documentChunks.textChunks[0]?.sourceTitle || this.getDocumentInfo(filePath).sourceTitle,
+        });
+        if (indexed) {
+          summary.documentsUpdated++;
+        } else {
+          summary.documentsAdded++;
         }
-        text = parts.length > 0 
-          ? parts.join(". ") 
-          : `Image content from page ${chunk.pageNumber || 'unknown'} containing visual information`;
-      }
-      
-      // Ensure text is not empty and has semantic value
-      if (!text || text.trim().length === 0) {
-        console.warn(`  ⚠ Empty chunk at index ${idx}, using fallback description`);
-        return `Visual content from page ${chunk.pageNumber || 'unknown'} with graphical elements, diagrams, or illustrations`;
-      }
-      
-      // Log image chunk content for debugging
-      if (chunk.contentType === "image") {
-        console.log(`  Image chunk ${idx}: ${text.substring(0, 100)}...`);
-      }
-      
-      return text;
-    });
-    
+      } catch (error) {
+        console.warn(`⚠ Skipping ${filePath}: ${error.message}`);
+      }
+    }
+
+    // Documents in the index that are no longer among the sources
+    const removeDocumentIds = [...indexedDocuments.keys()].filter((id) => !currentDocumentIds.has(id));
+    for (const documentId of removeDocumentIds) {
+      summary.chunksRemoved += indexedDocuments.get(documentId).rows.length;
+    }
+    summary.documentsRemoved = removeDocumentIds.length;
+
+    // Step 4: Combine text, table, image and summary chunks
+    let allChunks = [...textChunks, ...tableChunks, ...imageChunks, ...summaryChunks];
+    console.log(
+      `✓ Total chunks to index: ${textChunks.length} text + ${tableChunks.length} table + ${imageChunks.length} image + ` +
+        `${summaryChunks.length} summary = ${allChunks.length} total\n`
+    );
+
+    // Step 5: Generate embeddings for all chunks
+    const chunkTexts = allChunks.map((chunk, idx) => this.getEmbeddingText(chunk, idx));
+
     // Filter out any empty chunks before embedding
     const validChunks = [];
     const validChunkTexts = [];
     chunkTexts.forEach((text, idx) => {
       if (text && text.trim().length > 0) {
+        allChunks[idx].chunkHash = this.hashChunk(allChunks[idx], text);
         validChunks.push(allChunks[idx]);
         validChunkTexts.push(text);
       }
@@ -332,15 +1116,117 @@ export class Indexer {
     if (validChunkTexts.length !== chunkTexts.length) {
       console.log(`  Filtered ${chunkTexts.length - validChunkTexts.length} empty chunks`);
     }
-    
-    console.log(`  Generating embeddings for ${validChunkTexts.length} valid chunks...`);
-    const embeddings = await this.generateEmbeddings(validChunkTexts);
-    
-    // Update allChunks to only include valid ones for storage
-    allChunks = validChunks;
+
+    // Repeated boilerplate (legal notices, logos, ...) would crowd out real content in the results
+    if (this.deduplicator && validChunks.length > 0) {
+      const { keep, report } = this.deduplicateChunks(validChunks, validChunkTexts);
+      const before = validChunks.length;
+      for (let idx = keep.length - 1; idx >= 0; idx--) {
+        if (!keep[idx]) {
+          validChunks.splice(idx, 1);
+          validChunkTexts.splice(idx, 1);
+        }
+      }
+      summary.dedup.exact = report.exact;
+      summary.dedup.near = report.near;
+      console.log(
+        `🧹 Deduplication: dropped ${before - validChunks.length} of ${before} chunks ` +
+          `(${report.exact} exact duplicates, ${report.near} near-duplicates ≥ ${this.deduplicator.threshold} similarity)`
+      );
+      report.examples.forEach(({ text, count }) => {
+        console.log(`   ${count}× "${text}"`);
+      });
+    }
+
+    // Chunks of a changed document that are identical to a stored row keep that row;
+    // stored rows with no matching chunk are deleted
+    const reusableRows = new Map();
+    for (const { documentId } of changedDocuments) {
+      for (const row of indexedDocuments.get(documentId)?.rows || []) {
+        const key = `${documentId}:${row.chunkHash}`;
+        if (!reusableRows.has(key)) {
+          reusableRows.set(key, []);
+        }
+        reusableRows.get(key).push(row.id);
+      }
+    }
+
+    const newChunks = [];
+    const newChunkTexts = [];
+    validChunks.forEach((chunk, idx) => {
+      const candidates = reusableRows.get(`${chunk.documentId}:${chunk.chunkHash}`);
+      if (candidates && candidates.length > 0) {
+        candidates.pop();
+        summary.chunksReused++;
+      } else {
+        newChunks.push(chunk);
+        newChunkTexts.push(validChunkTexts[idx]);
+      }
+    });
+    const removeRowIds = [...reusableRows.values()].flat();
+    summary.chunksRemoved += removeRowIds.length;
+
+    let embeddings = [];
+    if (newChunkTexts.length > 0) {
+      console.log(`  Generating embeddings for ${newChunkTexts.length} new chunks...`);
+      embeddings = await this.generateEmbeddings(newChunkTexts);
+    }
+    summary.chunksAdded = newChunks.length;
+
+    // Update allChunks to only include the ones that need storing
+    allChunks = newChunks;
 
     // Step 6: Store in vector database
-    await this.storeInVectorDB(allChunks, embeddings, dbPath);
+    let table;
+    if (existingIndex) {
+      table = await this.storeInVectorDB(allChunks, embeddings, dbPath, {
+        removeDocumentIds,
+        removeRowIds,
+        refreshDocuments: changedDocuments,
+        nextId: existingIndex.nextId,
+      });
+    } else {
+      table = await this.storeInVectorDB(allChunks, embeddings, dbPath);
+    }
+    await this.buildTextIndex(
+      table,
+      !existingIndex || summary.chunksAdded > 0 || summary.chunksRemoved > 0 || changedDocuments.length > 0
+    );
+    await this.buildVectorIndex(table, previousManifest !== null && previousManifest.distanceMetric !== this.distanceMetric);
+
+    // Parent windows of new or changed documents replace their previous ones
+    await this.storeParentChunks(
+      parentChunks,
+      dbPath,
+      existingIndex ? [...removeDocumentIds, ...changedDocuments.map(({ documentId }) => documentId)] : null
+    );
+
+    // Step 7: Record how the index was built
+    const schema = await table.schema();
+    const written = await manifest.write({
+      embeddingModel: this.embeddingModel,
+      vectorDimension: schema.fields.find((field) => field.name === "vector").type.listSize,
+      chunker: this.chunker.describe(),
+      contextModel: this.contextualizer ? this.contextualizer.model : "",
+      redaction: this.redactor ? this.redactor.describe() : "",
+      summaries: this.summarizer ? this.summarizer.describe() : "",
+      distanceMetric: this.distanceMetric,
+      sources: sources.map((filePath) => this.getDocumentInfo(filePath).sourcePath),
+      chunkCount: await table.countRows(),
+    });
+    console.log(`✓ Index manifest written (${written.embeddingModel}, ${written.vectorDimension} dimensions, ${IndexManifest.describeChunker(this.chunker.describe())} chunker, ${written.distanceMetric} distance)`);
+
+    // The checkpoint is only needed until the run has been stored
+    if (this.embeddingCheckpoint) {
+      await this.embeddingCheckpoint.clear();
+    }
+
+    // Audit report of what was redacted in each indexed document; incremental runs keep the
+    // entries of unchanged documents and drop those of removed ones
+    if (this.redactor) {
+      this.redactor.writeReport(this.redactionReportPath, redactedDocuments, existingIndex ? currentDocumentIds : null);
+      summary.redaction = Redactor.summarize(redactedDocuments.flatMap((document) => document.audit));
+    }
 
     // Cleanup temporary images
     if (this.imageExtractor) {
@@ -348,8 +1234,40 @@ export class Indexer {
     }
 
     console.log("\n✓ Indexing completed successfully!");
-    console.log(`  - Text chunks: ${textChunks.length}`);
-    console.log(`  - Image chunks: ${imageChunks.length}`);
-    console.log(`  - Total chunks: ${allChunks.length}\n`);
+    console.log(`  - Documents: ${summary.documentsAdded} added, ${summary.documentsUpdated} updated, ${summary.documentsUnchanged} unchanged, ${summary.documentsRemoved} removed`);
+    console.log(`  - Text chunks processed: ${textChunks.length}`);
+    console.log(`  - Table chunks processed: ${tableChunks.length}`);
+    if (summary.ocrPages > 0) {
+      console.log(`  - Scanned pages read by OCR: ${summary.ocrPages}`);
+    }
+    if (summary.ocrFailedPages > 0) {
+      console.warn(`  ⚠ Scanned pages indexed without text (OCR failed): ${summary.ocrFailedPages}`);
+    }
+    console.log(`  - Image chunks processed: ${imageChunks.length}`);
+    if (this.summarizer) {
+      const summaryStats = this.summarizer.getStats();
+      summary.summaries = { chunks: summaryChunks.length, ...summaryStats };
+      console.log(`  - Summaries: ${summaryChunks.length} built (${summaryStats.generated} generated, ${summaryStats.cached} cached, ${summaryStats.failed} failed)`);
+    }
+    console.log(`  - Chunks: ${summary.chunksAdded} added, ${summary.chunksReused} reused, ${summary.chunksRemoved} removed`);
+    if (this.deduplicator) {
+      console.log(`  - Deduplication: ${summary.dedup.exact} exact + ${summary.dedup.near} near-duplicate chunks dropped, ${summary.dedup.headerFooterLines} header/footer lines stripped`);
+    }
+    if (this.redactor) {
+      console.log(`  - Redaction: ${summary.redaction.total} value(s) redacted in ${redactedDocuments.length} document(s), report written to ${this.redactionReportPath}`);
+    }
+    if (this.contextualizer) {
+      const contextStats = this.contextualizer.getStats();
+      summary.contexts = contextStats;
+      console.log(`  - Contextual headers: ${contextStats.generated} generated, ${contextStats.cached} cached, ${contextStats.failed} failed`);
+    }
+    if (this.embeddingCache) {
+      const cacheStats = this.embeddingCache.getStats();
+      summary.cache = cacheStats;
+      console.log(`  - Embedding cache: ${cacheStats.hits} hits, ${cacheStats.misses} misses (${(cacheStats.hitRate * 100).toFixed(1)}% hit rate)`);
+    }
+    console.log();
+
+    return summary;
   }
 }
@@ -0,0 +1,93 @@
+import crypto from "crypto";
+import * as lancedb from "@lancedb/lancedb";
+import { sqlString } from "./sql.js";
+
+/**
+ * LLM Cache Module
+ * Persists LLM outputs generated during indexing (chunk contexts, summaries) in a
+ * LanceDB table keyed by (model, sha256 of the inputs), so re-indexing does not repeat
+ * the calls
+ */
+
+export class LlmCache {
+  constructor(dbPath = "./lancedb", tableName, model, valueColumn = "output") {
+    this.dbPath = dbPath;
+    this.tableName = tableName;
+    this.model = model;
+    this.valueColumn = valueColumn;
+    this.table = null;
+  }
+
+  /**
+   * Cache key for a list of inputs
+   */
+  key(...inputs) {
+    return crypto.createHash("sha256").update(JSON.stringify(inputs)).digest("hex");
+  }
+
+  /**
+   * Open the cache table, or return null if it has not been created yet
+   */
+  async openTable() {
+    if (this.table) {
+      return this.table;
+    }
+    const db = await lancedb.connect(this.dbPath);
+    const tableNames = await db.tableNames();
+    if (tableNames.includes(this.tableName)) {
+      this.table = await db.openTable(this.tableName);
+    }
+    return this.table;
+  }
+
+  /**
+   * Look up cached outputs; returns a Map of key -> output
+   */
+  async getMany(keys) {
+    const found = new Map();
+    try {
+      const table = await this.openTable();
+      if (table) {
+        const uniqueKeys = [...new Set(keys)];
+        for (let i = 0; i < uniqueKeys.length; i += 500) {
+          const slice = uniqueKeys.slice(i, i + 500);
+          const rows = await table
+            .query()
+            .where(`model = ${sqlString(this.model)} AND key IN (${slice.map(sqlString).join(", ")})`)
+            .select(["key", this.valueColumn])
+            .toArray();
+          rows.forEach((row) => found.set(row.key, row[this.valueColumn]));
+        }
+      }
+    } catch (error) {
+      console.warn(`⚠ ${this.tableName} lookup failed: ${error.message}`);
+    }
+    return found;
+  }
+
+  /**
+   * Store outputs given as [{ key, output }]
+   */
+  async putMany(entries) {
+    if (entries.length === 0) {
+      return;
+    }
+    const rows = entries.map(({ key, output }) => ({
+      model: this.model,
+      key,
+      [this.valueColumn]: output,
+      createdAt: new Date().toISOString(),
+    }));
+    try {
+      const table = await this.openTable();
+      if (table) {
+        await table.add(rows);
+      } else {
+        const db = await lancedb.connect(this.dbPath);
+        this.table = await db.createTable(this.tableName, rows);
+      }
+    } catch (error) {
+      console.warn(`⚠ Could not write to ${this.tableName}: ${error.message}`);
+    }
+  }
+}
@@ -3,6 +3,8 @@ import { Indexer } from './indexing.js';
 import { Retriever } from './retrieval.js';
 import { Augmenter } from './augment.js';
 import { Generator } from './generation.js';
+import { EmbeddingCache } from './embeddingCache.js';
+import { DocumentWatcher } from './watcher.js';
 import fs from 'fs';
 
 // Load environment variables
@@ -16,7 +18,8 @@ dotenv.config();
 class RAGApplication {
   constructor() {
     this.apiKey = process.env.OPENAI_API_KEY;
-    this.pdfPath = process.env.PDF_PATH;
+    // DOCS_PATH may be a file, a directory, a glob or a comma-separated list; PDF_PATH is kept for compatibility
+    this.docsPath = process.env.DOCS_PATH || process.env.PDF_PATH;
     this.dbPath = process.env.DB_PATH;
     
     // if (!this.apiKey) {
@@ -35,20 +38,21 @@ class RAGApplication {
 
   /**
    * Run the indexing step
+   * Incremental by default; pass { rebuild: true } to re-embed everything
    */
-  async runIndexing() {
+  async runIndexing(options = {}) {
     console.log('\n╔════════════════════════════════════════╗');
     console.log('║    CRAG INDEXING PIPELINE             ║');
     console.log('╚════════════════════════════════════════╝');
     
-    // Check if PDF exists
-    if (!fs.existsSync(this.pdfPath)) {
-      console.error(`❌ Error: PDF file not found at ${this.pdfPath}`);
-      console.log('Please provide a PDF file in the correct location');
+    // Check if any documents exist
+    if (!this.docsPath || this.indexer.resolveSources(this.docsPath).length === 0) {
+      console.error(`❌ Error: No documents found at ${this.docsPath}`);
+      console.log('Please set DOCS_PATH (or PDF_PATH) to a file, folder or glob of documents');
       process.exit(1);
     }
     
-    await this.indexer.indexPDF(this.pdfPath, this.dbPath);
+    await this.indexer.indexPDF(this.docsPath, this.dbPath, options);
     
     console.log('✅ Your documents are now indexed and ready for queries!');
     console.log(`\nTo start querying, run: npm start\n`);
@@ -69,11 +73,86 @@ class RAGApplication {
       console.log('Please run indexing first: npm run index');
       process.exit(1);
     }
+
+    // Make sure the index was built with the same embedding model
+    try {
+      await this.retriever.validateIndex();
+    } catch (error) {
+      console.error(`❌ Error: ${error.message}`);
+      process.exit(1);
+    }
     
     // Start interactive Q&A session
     await this.augmenter.startQASession(this.retriever, this.generator);
   }
 
+  /**
+   * Watch the document sources and re-index changed documents
+   * While an update runs, queries keep using the table version from before it
+   */
+  startWatching() {
+    const watcher = new DocumentWatcher(this.indexer, this.docsPath, this.dbPath, {
+      onIndexStart: () => this.retriever.pinTableVersion(),
+      onIndexEnd: async () => this.retriever.unpinTableVersion(),
+    });
+    watcher.start();
+    return watcher;
+  }
+
+  /**
+   * Run query mode while keeping the index in sync with the sources
+   */
+  async runWatch(options = {}) {
+    await this.runIndexing(options);
+    const watcher = this.startWatching();
+    await this.runQuery();
+    await watcher.stop();
+  }
+
+  /**
+   * Remove cached embeddings of models that are no longer in use
+   * Keeps EMBEDDING_MODEL plus any models listed in EMBEDDING_CACHE_KEEP_MODELS
+   */
+  async runPruneCache() {
+    console.log('\n=== EMBEDDING CACHE PRUNE ===\n');
+
+    const keepModels = [process.env.EMBEDDING_MODEL, ...(process.env.EMBEDDING_CACHE_KEEP_MODELS || '').split(',')]
+      .map((model) => (model || '').trim())
+      .filter((model) => model.length > 0);
+    const cache = new EmbeddingCache(this.dbPath, process.env.EMBEDDING_MODEL);
+
+    const counts = await cache.countByModel();
+    if (counts.size === 0) {
+      console.log('ℹ  Embedding cache is empty, nothing to prune');
+      return;
+    }
+    for (const [model, count] of counts) {
+      console.log(`  ${model}: ${count} entries${keepModels.includes(model) ? ' (kept)' : ''}`);
+    }
+
+    const removed = await cache.prune(keepModels);
+    const total = [...removed.values()].reduce((sum, count) => sum + count, 0);
+    console.log(`\n✓ Removed ${total} cached embeddings from ${removed.size} unused model(s)\n`);
+  }
+
+  /**
+   * Compare recall and latency of the vector index with exhaustive search
+   */
+  async runBenchmark() {
+    console.log('\n=== VECTOR INDEX BENCHMARK ===\n');
+
+    if (!fs.existsSync(this.dbPath)) {
+      console.error('❌ Error: Vector database not found');
+      console.log('Please run indexing first: npm run index');
+      process.exit(1);
+    }
+
+    await this.retriever.benchmarkVectorSearch({
+      queries: parseInt(process.env.BENCHMARK_QUERIES, 10) || 50,
+      topK: parseInt(process.env.BENCHMARK_TOP_K, 10) || 10,
+    });
+  }
+
   /**
    * Run both indexing and query in sequence
    */
@@ -91,9 +170,22 @@ async function main() {
   // Parse command line arguments
   const args = process.argv.slice(2);
   
-  if (args.includes('--index')) {
+  if (args.includes('--index') && args.includes('--watch')) {
+    // Index, then keep the index in sync until interrupted
+    await app.runIndexing({ rebuild: args.includes('--rebuild') });
+    app.startWatching();
+  } else if (args.includes('--watch')) {
+    // Query mode with the index kept in sync in the background
+    await app.runWatch({ rebuild: args.includes('--rebuild') });
+  } else if (args.includes('--index')) {
     // Run only indexing
-    await app.runIndexing();
+    await app.runIndexing({ rebuild: args.includes('--rebuild') });
+  } else if (args.includes('--prune-cache')) {
+    // Remove cached embeddings of unused models
+    await app.runPruneCache();
+  } else if (args.includes('--benchmark')) {
+    // Compare the vector index with exhaustive search
+    await app.runBenchmark();
   } else if (args.includes('--query')) {
     // Run only query
     await app.runQuery();
@@ -104,18 +196,68 @@ CRAG Application - Corrective Retrieval-Augmented Generation System
 
 Usage:
   npm start              - Run query mode (requires indexed documents)
-  npm run index          - Index PDF documents into vector database
+  npm run index          - Index documents into vector database
   npm run query          - Run query mode (same as npm start)
+  npm run watch          - Run query mode and re-index documents as they change
+  npm run prune-cache    - Remove cached embeddings of models no longer in use
+  npm run benchmark      - Compare recall and latency of the vector index with exhaustive search
 
 Options:
-  --index                - Run indexing only
+  --index                - Run indexing only (incremental: only new or changed documents are embedded)
+  --rebuild              - With --index, drop the existing index and re-embed everything
   --query                - Run query only
+  --watch                - Index, then re-index changed documents while the Q&A session runs
+                           (with --index: keep watching without starting a Q&A session)
+  --prune-cache          - Prune the embedding cache
+  --benchmark            - Benchmark the vector index
   --help, -h             - Show this help message
 
 Environment Variables (set in .env file):
   OPENAI_API_KEY         - Your OpenAI API key (required)
-  PDF_PATH               - Path to PDF file (default: ./data/sample.pdf)
+  DOCS_PATH              - File, folder, glob or comma-separated list of documents to index
+                           (PDF, Markdown, HTML, plain text, DOCX, CSV/TSV)
+  PDF_PATH               - Path to a single PDF file (used when DOCS_PATH is not set)
   DB_PATH                - Path to LanceDB database (default: ./lancedb)
+  EMBEDDING_CACHE        - Set to "false" to disable the persistent embedding cache
+  EMBEDDING_CACHE_KEEP_MODELS - Extra models (comma-separated) kept by --prune-cache
+  EMBEDDING_BATCH_SIZE   - Texts per embedding request (default: 20)
+  EMBEDDING_CONCURRENCY  - Embedding requests in flight at once (default: 2)
+  EMBEDDING_MAX_RETRIES  - Retries for rate limits, server errors and timeouts (default: 5)
+  CONTEXTUAL_HEADERS     - Set to "true" to embed an LLM-generated context with each chunk
+  SUMMARIES              - Set to "true" to index passage, section and document summaries
+  SUMMARY_GROUP_SIZE     - Chunks per passage summary (default: 5)
+  SUMMARY_TOP_K          - Summaries retrieved per query, 0 to ignore them (default: 4)
+  REDACTION              - Set to "true" to redact personal data and secrets before indexing
+  REDACTION_MODE         - "mask" (default) or "hash" (requires REDACTION_HASH_SALT)
+  REDACTION_PATTERNS     - Custom detectors as JSON, e.g. {"employeeId": "EMP-\\d{6}"}
+  PARENT_CHUNK_SIZE      - Size of the parent windows that matched chunks expand to (default: 2000)
+  MAX_CONTEXT_CHARS      - Characters of local context sent to the LLM (default: 12000)
+  SMALL_TO_BIG           - Set to "false" to use the matched chunks without expanding them
+  SEARCH_MODE            - "hybrid" (vector + BM25 full-text, default) or "vector"
+  HYBRID_FUSION          - "rrf" (reciprocal rank fusion, default) or "weighted"
+  QUERY_EXPANSION        - "multi-query" (paraphrases), "hyde" (hypothetical answer), "both" or "none" (default)
+  QUERY_EXPANSION_COUNT  - Paraphrases generated per question (default: 3)
+  RERANKER               - "llm", "llm-listwise", "cross-encoder" or "none" (default)
+  RERANK_CANDIDATES      - Search results passed to the reranker (default: 30)
+  RERANK_TOP_K           - Results kept after reranking (default: 5)
+  MMR                    - Set to "true" to diversify results with Maximal Marginal Relevance
+  MMR_LAMBDA             - MMR relevance/diversity trade-off, 0-1 (default: 0.7)
+  DISTANCE_METRIC        - "l2" (default), "cosine" or "dot"; queries default to the index's metric
+  MAX_DISTANCE           - Drop vector matches farther than this (in the metric's units)
+  MIN_RELEVANCE          - Drop matches with a relevance score (0-1) below this
+  ANALYSIS_MIN_RELEVANCE - Quick analysis: best relevance (0-1) needed to skip web search (default: 0.5)
+  VECTOR_INDEX           - "ivf-pq" (default), "hnsw-pq", "hnsw-sq" or "none"
+  VECTOR_INDEX_MIN_ROWS  - Rows needed before the vector index is built (default: 10000)
+  NPROBES                - Index partitions searched per query (default: 20)
+  REFINE_FACTOR          - Re-rank this many times topK index candidates by exact distance
+  QUERY_EMBEDDING_LRU_SIZE - Query embeddings kept in memory per session, 0 to disable (default: 256)
+  DEDUP                  - Set to "false" to keep duplicate chunks
+  DEDUP_THRESHOLD        - Near-duplicate similarity threshold, 0-1 (default: 0.9)
+  STRIP_HEADERS_FOOTERS  - Set to "false" to keep repeated PDF header/footer lines
+  OCR_FALLBACK           - Set to "false" to skip OCR of PDF pages without a text layer
+  WATCH_DEBOUNCE_MS      - Quiet time after the last change before re-indexing (default: 2000)
+  INDEX_MANIFEST_CHECK   - "strict" (default), "warn" or "off": what to do when the index was
+                           built with a different embedding model or dimension
 
 Features:
   - Local document retrieval using LanceDB vector search
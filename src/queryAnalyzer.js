@@ -13,6 +13,9 @@ export class QueryAnalyzer {
       baseURL: "http://localhost:1234/v1",
     });
     this.model = process.env.LLM_MODEL;
+    // Quick analysis: the best chunk needs at least this relevance (0-1) for the local documents to suffice
+    const minSufficientRelevance = parseFloat(process.env.ANALYSIS_MIN_RELEVANCE);
+    this.minSufficientRelevance = Number.isFinite(minSufficientRelevance) ? minSufficientRelevance : 0.5;
   }
 
   /**
@@ -24,11 +27,11 @@ export class QueryAnalyzer {
       console.log("\n=== QUERY ANALYSIS ===\n");
       console.log("Evaluating retrieval quality...");
 
-      // Prepare the retrieved context
+      // Prepare the retrieved context, with each chunk's relevance score when known
       const context = retrievedChunks
         .map(
           (chunk, idx) =>
-            `[Chunk ${idx + 1}]: ${chunk.text.substring(0, 200)}...`
+            `[Chunk ${idx + 1}${typeof chunk.relevance === "number" ? `, relevance ${chunk.relevance.toFixed(2)}` : ""}]: ${chunk.text.substring(0, 200)}...`
         )
         .join("\n\n");
 
@@ -38,7 +41,7 @@ Your task is to evaluate if the retrieved documents are sufficient to answer the
 
 User Query: "${query}"
 
-Retrieved Documents:
+Retrieved Documents (relevance is the 0-1 embedding similarity to the query):
 ${context}
 
 Analyze the relevance and completeness of the retrieved documents. Consider:
@@ -148,10 +151,19 @@ Respond in JSON format with:
       0
     );
 
-    const requiresWeb = needsWebInfo || totalLength < 100;
+    // Check how close the best chunk is to the query, when the retriever scored them
+    const relevances = retrievedChunks
+      .map((chunk) => chunk.relevance)
+      .filter((relevance) => typeof relevance === "number");
+    const bestRelevance = relevances.length > 0 ? Math.max(...relevances) : null;
+
+    const requiresWeb =
+      needsWebInfo ||
+      totalLength < 100 ||
+      (bestRelevance !== null && bestRelevance < this.minSufficientRelevance);
 
     return {
-      relevance_score: requiresWeb ? 4 : 7,
+      relevance_score: bestRelevance !== null ? Math.round(bestRelevance * 10) : requiresWeb ? 4 : 7,
       is_sufficient: !requiresWeb,
       requires_web_search: requiresWeb,
       reasoning: requiresWeb
@@ -165,6 +177,18 @@ Respond in JSON format with:
    * Analyze and decide on retrieval strategy
    */
   async analyze(query, retrievedChunks, useQuickAnalysis = false) {
+    // Nothing passed the retriever's relevance cutoff: the answer has to come from the web
+    if (retrievedChunks.length === 0) {
+      console.log("✓ No local documents retrieved, web search required");
+      return {
+        relevance_score: 0,
+        is_sufficient: false,
+        requires_web_search: true,
+        reasoning: "No local document is relevant enough to the query",
+        suggested_search_query: query,
+      };
+    }
+
     if (useQuickAnalysis) {
       return await this.quickAnalysis(query, retrievedChunks);
     } else {
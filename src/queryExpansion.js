@@ -0,0 +1,144 @@
+import OpenAI from "openai";
+import { withRetry } from "./retry.js";
+
+/**
+ * Query Expansion Module
+ * Turns one question into several search queries, so short or vaguely worded
+ * questions still find the passages that answer them:
+ * - "multi-query": the LLM rephrases the question a few times
+ * - "hyde":        the LLM writes a hypothetical answer passage (HyDE), which is
+ *                  searched for instead of the question itself
+ * - "both":        paraphrases and a hypothetical answer
+ * - "none":        no expansion
+ * The original question is always the first query.
+ */
+
+const EXPANSION_MODES = ["multi-query", "hyde", "both"];
+
+export class QueryExpander {
+  constructor({ openai, model, mode = "multi-query", count = 3 } = {}) {
+    this.openai = openai;
+    this.model = model;
+    this.mode = mode;
+    this.count = count;
+  }
+
+  /**
+   * Ask the LLM for up to `count` rephrasings of the question
+   */
+  async paraphrase(query) {
+    const response = await withRetry(
+      () =>
+        this.openai.chat.completions.create({
+          model: this.model,
+          messages: [
+            {
+              role: "user",
+              content: `Question: ${query}
+
+Write ${this.count} different rephrasings of this question for a document search. Use other words and synonyms, spell out abbreviations, and make vague questions specific. Answer with a JSON array of strings only.`,
+            },
+          ],
+          temperature: 0.3,
+        }),
+      { label: "Query expansion request" }
+    );
+
+    // A JSON array, or one rephrasing per line when the model ignores the format
+    const content = response.choices[0].message.content || "";
+    const listMatch = content.match(/\[[\s\S]*\]/);
+    let paraphrases;
+    try {
+      paraphrases = listMatch ? JSON.parse(listMatch[0]) : null;
+    } catch (error) {
+      paraphrases = null;
+    }
+    if (!Array.isArray(paraphrases)) {
+      paraphrases = content.split("\n").map((line) => line.replace(/^\s*(?:[-*]|\d+[.)])\s*/, ""));
+    }
+
+    const seen = new Set([query.trim().toLowerCase()]);
+    return paraphrases
+      .filter((paraphrase) => typeof paraphrase === "string")
+      .map((paraphrase) => paraphrase.trim())
+      .filter((paraphrase) => {
+        const key = paraphrase.toLowerCase();
+        if (!paraphrase || seen.has(key)) {
+          return false;
+        }
+        seen.add(key);
+        return true;
+      })
+      .slice(0, this.count);
+  }
+
+  /**
+   * Ask the LLM for a passage that could answer the question (HyDE)
+   */
+  async hypotheticalAnswer(query) {
+    const response = await withRetry(
+      () =>
+        this.openai.chat.completions.create({
+          model: this.model,
+          messages: [
+            {
+              role: "user",
+              content: `Question: ${query}
+
+Write a short passage (one paragraph) that answers this question, written like an excerpt from a document about the topic. If you don't know the answer, write a plausible one; it is only used to search for similar passages. Answer only with the passage.`,
+            },
+          ],
+          temperature: 0,
+          max_tokens: 250,
+        }),
+      { label: "Query expansion request" }
+    );
+    return (response.choices[0].message.content || "").trim();
+  }
+
+  /**
+   * Search queries for a question: [{ label, text }], starting with the question itself
+   * A failed LLM request only drops the variants it was for
+   */
+  async expand(query) {
+    const [paraphrases, hypothetical] = await Promise.all([
+      this.mode !== "hyde"
+        ? this.paraphrase(query).catch((error) => {
+            console.warn(`⚠ Could not generate paraphrases: ${error.message}`);
+            return [];
+          })
+        : [],
+      this.mode !== "multi-query"
+        ? this.hypotheticalAnswer(query).catch((error) => {
+            console.warn(`⚠ Could not generate a hypothetical answer: ${error.message}`);
+            return "";
+          })
+        : "",
+    ]);
+
+    return [
+      { label: "original", text: query },
+      ...paraphrases.map((text, index) => ({ label: `paraphrase ${index + 1}`, text })),
+      ...(hypothetical ? [{ label: "HyDE", text: hypothetical }] : []),
+    ];
+  }
+}
+
+/**
+ * Create a query expander by mode, or return null for "none"
+ */
+export function createQueryExpander({ mode = "none", model, count } = {}) {
+  if (mode === "none") {
+    return null;
+  }
+  if (!EXPANSION_MODES.includes(mode)) {
+    throw new Error(`Unknown query expansion mode "${mode}" (expected ${EXPANSION_MODES.join(", ")} or none)`);
+  }
+
+  const openai = new OpenAI({
+    apiKey: "api_key",
+    baseURL: "http://localhost:1234/v1",
+    maxRetries: 0, // Retries are handled by withRetry
+  });
+  return new QueryExpander({ openai, model, mode, ...(Number.isFinite(count) && count > 0 && { count }) });
+}
@@ -0,0 +1,349 @@
+import fs from "fs";
+import crypto from "crypto";
+
+/**
+ * Redaction Module
+ * Finds personal data and secrets in text (e-mail addresses, phone numbers, card and
+ * bank numbers, national ids, API keys, private keys, custom patterns) and replaces
+ * them before anything is embedded or stored.
+ *
+ * Modes:
+ * - "mask": the value becomes its type, e.g. [EMAIL]
+ * - "hash": the value becomes its type plus a short salted hash, e.g. [EMAIL:3f9a1c2e],
+ *           so the same value always maps to the same token. Requires a secret salt
+ *           (REDACTION_HASH_SALT): unsalted hashes of short values such as phone numbers
+ *           can be reversed by trying every possible value.
+ */
+
+/**
+ * Luhn checksum used by payment card numbers
+ */
+function luhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * ISO 13616 mod-97 checksum used by IBANs
+ */
+function ibanValid(value) {
+  const iban = value.replace(/\s+/g, "").toUpperCase();
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  let remainder = 0;
+  for (const char of rearranged) {
+    const code = /[A-Z]/.test(char) ? String(char.charCodeAt(0) - 55) : char;
+    for (const digit of code) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+  return remainder === 1;
+}
+
+/**
+ * Built-in detectors. `group` names the capture group holding the value when the
+ * pattern also matches surrounding text (e.g. "password: <value>").
+ */
+const BUILT_IN_DETECTORS = [
+  {
+    type: "privateKey",
+    pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g,
+  },
+  {
+    type: "apiKey",
+    pattern: /\b(?:sk-(?:proj-)?[A-Za-z0-9_-]{20,}|AKIA[0-9A-Z]{16}|gh[pousr]_[A-Za-z0-9]{36,}|xox[abprs]-[A-Za-z0-9-]{10,}|AIza[0-9A-Za-z_-]{35})\b/g,
+  },
+  {
+    type: "secret",
+    pattern: /\b(?:api[_-]?key|secret|token|passw(?:or)?d|pwd)\b["']?\s*[:=]\s*["']?(?<value>[^\s"',;]{8,})/gi,
+    group: "value",
+  },
+  {
+    type: "email",
+    pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g,
+  },
+  {
+    type: "creditCard",
+    pattern: /\b(?:\d[ -]?){12,18}\d\b/g,
+    validate: (value) => luhnValid(value.replace(/\D/g, "")),
+  },
+  {
+    type: "iban",
+    pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g,
+    validate: ibanValid,
+  },
+  {
+    type: "ssn",
+    pattern: /\b(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}\b/g,
+  },
+  {
+    type: "phone",
+    // A country code (+44 20 7946 0958), an area code in parentheses ((020) 7946 0958),
+    // a national trunk prefix (020 7946 0958) or 3-3-4 grouping (415-555-0100). Plain runs
+    // of numbers (100 200 300 400, 128 256 512 1024) and IP addresses or versions are
+    // left alone: the number must not continue with another digit group on either side.
+    pattern:
+      /(?<![\w+]|\d[ .-])(?:\+\d{1,3}[ .-]?(?:\(\d{1,4}\)[ .-]?)?\d{1,4}(?:[ .-]?\d{2,4}){1,4}|\(\d{2,5}\)[ .-]?\d{3,4}[ .-]?\d{3,4}|0\d{2,4}[ .-]\d{3,4}[ .-]?\d{3,4}|\d{3}[ .-]\d{3}[ .-]\d{4})(?!\w|[ .-]\d)/g,
+    validate: (value) => {
+      const digits = value.replace(/\D/g, "").length;
+      return digits >= 9 && digits <= 15;
+    },
+  },
+];
+
+export class Redactor {
+  constructor(options = {}) {
+    this.mode = options.mode || process.env.REDACTION_MODE || "mask";
+    if (!["mask", "hash"].includes(this.mode)) {
+      throw new Error(`Unknown redaction mode "${this.mode}" (expected mask or hash)`);
+    }
+    this.salt = options.salt ?? process.env.REDACTION_HASH_SALT ?? "";
+    if (this.mode === "hash" && !this.salt) {
+      throw new Error(
+        "REDACTION_MODE=hash requires REDACTION_HASH_SALT: without a secret salt, hashed e-mail addresses, " +
+          "phone numbers and card numbers can be recovered by brute force"
+      );
+    }
+
+    // REDACTION_DETECTORS limits the built-in detectors, e.g. "email,phone,apiKey"
+    const enabled = (options.detectors || process.env.REDACTION_DETECTORS || "")
+      .split(",")
+      .map((type) => type.trim())
+      .filter((type) => type.length > 0);
+    this.detectors = BUILT_IN_DETECTORS.filter(
+      (detector) => enabled.length === 0 || enabled.includes(detector.type)
+    );
+
+    // REDACTION_PATTERNS adds custom detectors as JSON: {"employeeId": "EMP-\\d{6}"}
+    this.customPatterns = options.patterns || JSON.parse(process.env.REDACTION_PATTERNS || "{}");
+    for (const [type, source] of Object.entries(this.customPatterns)) {
+      this.detectors.push({ type, pattern: new RegExp(source, "g") });
+    }
+  }
+
+  /**
+   * Settings recorded in the index manifest; stored text depends on all of them
+   */
+  describe() {
+    return JSON.stringify({
+      mode: this.mode,
+      detectors: this.detectors.map((detector) => detector.type),
+      patterns: this.customPatterns,
+    });
+  }
+
+  /**
+   * Replacement token for a detected value
+   */
+  replacement(type, value) {
+    if (this.mode === "hash") {
+      const hash = crypto.createHash("sha256").update(this.salt + value).digest("hex").substring(0, 8);
+      return `[${type.toUpperCase()}:${hash}]`;
+    }
+    return `[${type.toUpperCase()}]`;
+  }
+
+  /**
+   * Find all values to redact in a text
+   * Earlier detectors win when matches overlap (a private key block is not also a secret)
+   */
+  detect(text) {
+    const findings = [];
+    const overlaps = (start, end) => findings.some((finding) => start < finding.end && end > finding.start);
+
+    for (const detector of this.detectors) {
+      const pattern = new RegExp(detector.pattern.source, detector.pattern.flags);
+      let match;
+      while ((match = pattern.exec(text)) !== null) {
+        if (match[0].length === 0) {
+          pattern.lastIndex++;
+          continue;
+        }
+        const value = detector.group ? match.groups[detector.group] : match[0];
+        const start = match.index + (detector.group ? match[0].lastIndexOf(value) : 0);
+        const end = start + value.length;
+        if ((detector.validate && !detector.validate(value)) || overlaps(start, end)) {
+          continue;
+        }
+        findings.push({ type: detector.type, start, end, value });
+      }
+    }
+
+    return findings.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Redact a text
+   * Returns the redacted text and the findings (with the replacement but without the
+   * original value, so they can be logged safely)
+   */
+  redact(text) {
+    if (!text) {
+      return { text, findings: [] };
+    }
+
+    const findings = this.detect(text);
+    let redacted = "";
+    let cursor = 0;
+    const safeFindings = findings.map(({ type, start, end, value }) => {
+      const replacement = this.replacement(type, value);
+      redacted += text.slice(cursor, start) + replacement;
+      cursor = end;
+      return { type, start, end, replacement };
+    });
+    redacted += text.slice(cursor);
+
+    return { text: redacted, findings: safeFindings };
+  }
+
+  /**
+   * Map an offset in the original text to the redacted text
+   */
+  mapOffset(offset, findings) {
+    let shift = 0;
+    for (const finding of findings) {
+      if (finding.end <= offset) {
+        shift += finding.replacement.length - (finding.end - finding.start);
+      }
+    }
+    return offset + shift;
+  }
+
+  /**
+   * Redact a loaded document in place: title, full text, sections (with their heading
+   * paths) and tables
+   * Section and table offsets are moved so they still point into the redacted text.
+   * Returns the audit entries [{ type, location }].
+   */
+  redactDocument(document) {
+    const audit = [];
+    const record = (findings, location) =>
+      findings.forEach(({ type, replacement }) => audit.push({ type, location, replacement }));
+
+    if (document.title) {
+      const result = this.redact(document.title);
+      document.title = result.text;
+      record(result.findings, "title");
+    }
+
+    // Heading paths repeat across sections and tables; each distinct one is redacted and recorded once
+    const sectionPaths = new Map();
+    const redactSectionPath = (sectionPath) => {
+      if (!sectionPath) {
+        return sectionPath;
+      }
+      if (!sectionPaths.has(sectionPath)) {
+        const result = this.redact(sectionPath);
+        record(result.findings, `heading "${result.text}"`);
+        sectionPaths.set(sectionPath, result.text);
+      }
+      return sectionPaths.get(sectionPath);
+    };
+
+    const { text, findings } = this.redact(document.text || "");
+    document.text = text;
+
+    for (const section of document.sections || []) {
+      const result = this.redact(section.text);
+      section.text = result.text;
+      section.startOffset = this.mapOffset(section.startOffset || 0, findings);
+      section.sectionPath = redactSectionPath(section.sectionPath);
+      record(result.findings, section.pageNumber ? `page ${section.pageNumber}` : "text");
+    }
+
+    for (const table of document.tables || []) {
+      const location = `table on page ${table.pageNumber}`;
+      if (table.caption) {
+        const result = this.redact(table.caption);
+        table.caption = result.text;
+        record(result.findings, location);
+      }
+      table.rows = table.rows.map((row) =>
+        row.map((cell) => {
+          const result = this.redact(cell);
+          record(result.findings, location);
+          return result.text;
+        })
+      );
+      table.startOffset = this.mapOffset(table.startOffset, findings);
+      table.endOffset = this.mapOffset(table.endOffset, findings);
+      table.sectionPath = redactSectionPath(table.sectionPath);
+    }
+
+    return audit;
+  }
+
+  /**
+   * Redact the OCR text, vision description and text of an image chunk in place
+   */
+  redactImageChunk(chunk) {
+    const audit = [];
+    for (const [field, source] of [["ocrText", "OCR"], ["visionDescription", "vision description"], ["text", null]]) {
+      if (!chunk[field]) {
+        continue;
+      }
+      const result = this.redact(chunk[field]);
+      chunk[field] = result.text;
+      // The text repeats the OCR text and description, so only count it when they are empty
+      if (source || audit.length === 0) {
+        result.findings.forEach(({ type, replacement }) =>
+          audit.push({ type, location: `image on page ${chunk.pageNumber} (${source || "description"})`, replacement })
+        );
+      }
+    }
+    return audit;
+  }
+
+  /**
+   * Summarize audit entries as { total, byType: { email: 3, ... } }
+   */
+  static summarize(audit) {
+    const byType = {};
+    audit.forEach(({ type }) => {
+      byType[type] = (byType[type] || 0) + 1;
+    });
+    return { total: audit.length, byType };
+  }
+
+  /**
+   * Write the per-document audit report as JSON
+   * With keepDocumentIds (incremental runs), the entries of the previous report for those
+   * documents are kept unless they were processed again; all other entries are dropped.
+   */
+  writeReport(reportPath, documents, keepDocumentIds = null) {
+    const entries = documents.map(({ sourcePath, documentId, audit }) => ({
+      sourcePath,
+      documentId,
+      ...Redactor.summarize(audit),
+      items: audit,
+    }));
+
+    if (keepDocumentIds && fs.existsSync(reportPath)) {
+      try {
+        const processed = new Set(entries.map((entry) => entry.documentId));
+        const previous = JSON.parse(fs.readFileSync(reportPath, "utf8")).documents || [];
+        entries.unshift(
+          ...previous.filter((entry) => keepDocumentIds.has(entry.documentId) && !processed.has(entry.documentId))
+        );
+      } catch (error) {
+        console.warn(`⚠ Could not read the previous redaction report, writing a new one: ${error.message}`);
+      }
+    }
+
+    const report = {
+      generatedAt: new Date().toISOString(),
+      mode: this.mode,
+      detectors: this.detectors.map((detector) => detector.type),
+      documents: entries,
+    };
+    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+    return report;
+  }
+}
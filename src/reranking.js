@@ -0,0 +1,206 @@
+import OpenAI from "openai";
+import { withRetry } from "./retry.js";
+
+/**
+ * Reranking Module
+ * Re-scores the candidates of the first-stage search against the query and keeps the
+ * best ones. Every reranker returns the top K candidates sorted by rerankScore (0-1),
+ * each with its rank before reranking in originalRank.
+ *
+ * Available rerankers (RERANKER env variable):
+ * - "llm":           pointwise; the LLM rates each candidate 0-10 (one request per candidate)
+ * - "llm-listwise":  the LLM orders all candidates in a single request
+ * - "cross-encoder": a reranking model served by the endpoint's /rerank route
+ *                    (llama.cpp / Jina / Cohere style: { query, documents, top_n })
+ * - "none":          no reranking
+ */
+
+/**
+ * Sort scored candidates and keep the top K
+ */
+function topByScore(candidates, scores, topK) {
+  return candidates
+    .map((candidate, index) => ({ ...candidate, originalRank: index + 1, rerankScore: scores[index] }))
+    .sort((a, b) => b.rerankScore - a.rerankScore || a.originalRank - b.originalRank)
+    .slice(0, topK);
+}
+
+/**
+ * Text shown to the reranker for a candidate, shortened to maxChars
+ */
+function passageText(candidate, maxChars) {
+  const text = [candidate.sectionPath, candidate.text].filter(Boolean).join("\n");
+  return text.length > maxChars ? `${text.substring(0, maxChars)}...` : text;
+}
+
+/**
+ * Pointwise LLM reranker
+ */
+export class LlmPointwiseReranker {
+  constructor({ openai, model, concurrency = 4, passageChars = 1500 } = {}) {
+    this.name = "llm";
+    this.openai = openai;
+    this.model = model;
+    this.concurrency = concurrency;
+    this.passageChars = passageChars;
+  }
+
+  /**
+   * Relevance of one passage, 0-1; unparseable answers count as 0
+   */
+  async score(query, candidate) {
+    const response = await withRetry(
+      () =>
+        this.openai.chat.completions.create({
+          model: this.model,
+          messages: [
+            {
+              role: "user",
+              content: `Question: ${query}
+
+Passage:
+${passageText(candidate, this.passageChars)}
+
+How relevant is the passage for answering the question, on a scale from 0 (unrelated) to 10 (answers it directly)? Answer with the number only.`,
+            },
+          ],
+          temperature: 0,
+          max_tokens: 5,
+        }),
+      { label: "Rerank request" }
+    );
+    const match = (response.choices[0].message.content || "").match(/\d+(?:\.\d+)?/);
+    return match ? Math.min(Number(match[0]), 10) / 10 : 0;
+  }
+
+  async rerank(query, candidates, topK) {
+    const scores = new Array(candidates.length).fill(0);
+    let next = 0;
+    const worker = async () => {
+      while (next < candidates.length) {
+        const index = next++;
+        scores[index] = await this.score(query, candidates[index]);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(this.concurrency, candidates.length) }, () => worker()));
+    return topByScore(candidates, scores, topK);
+  }
+}
+
+/**
+ * Listwise LLM reranker
+ */
+export class LlmListwiseReranker {
+  constructor({ openai, model, passageChars = 500 } = {}) {
+    this.name = "llm-listwise";
+    this.openai = openai;
+    this.model = model;
+    this.passageChars = passageChars;
+  }
+
+  async rerank(query, candidates, topK) {
+    const passages = candidates
+      .map((candidate, index) => `[${index + 1}] ${passageText(candidate, this.passageChars)}`)
+      .join("\n\n");
+    const response = await withRetry(
+      () =>
+        this.openai.chat.completions.create({
+          model: this.model,
+          messages: [
+            {
+              role: "user",
+              content: `Question: ${query}
+
+Passages:
+${passages}
+
+Rank the passages by how useful they are for answering the question, most useful first. Answer with a JSON array of passage numbers only, e.g. [3, 1, 2].`,
+            },
+          ],
+          temperature: 0,
+        }),
+      { label: "Rerank request" }
+    );
+
+    const content = response.choices[0].message.content || "";
+    const listMatch = content.match(/\[[\d\s,]*\]/);
+    if (!listMatch) {
+      throw new Error(`Unexpected ranking answer: ${content.substring(0, 80)}`);
+    }
+    // Valid, unique passage numbers in the given order; passages left out keep their order after them
+    const order = [...new Set(JSON.parse(listMatch[0]).map((number) => number - 1))].filter(
+      (index) => index >= 0 && index < candidates.length
+    );
+    candidates.forEach((candidate, index) => {
+      if (!order.includes(index)) {
+        order.push(index);
+      }
+    });
+
+    const scores = new Array(candidates.length);
+    order.forEach((index, position) => {
+      scores[index] = 1 - position / candidates.length;
+    });
+    return topByScore(candidates, scores, topK);
+  }
+}
+
+/**
+ * Cross-encoder reranker served by the OpenAI-compatible endpoint
+ */
+export class CrossEncoderReranker {
+  constructor({ openai, model, passageChars = 2000 } = {}) {
+    this.name = "cross-encoder";
+    this.openai = openai;
+    this.model = model;
+    this.passageChars = passageChars;
+  }
+
+  async rerank(query, candidates, topK) {
+    const response = await withRetry(
+      () =>
+        this.openai.post("/rerank", {
+          body: {
+            model: this.model,
+            query,
+            documents: candidates.map((candidate) => passageText(candidate, this.passageChars)),
+            top_n: candidates.length,
+          },
+        }),
+      { label: "Rerank request" }
+    );
+
+    // Depending on the server, scores are probabilities or raw logits; logits go through a sigmoid
+    const results = response.results || [];
+    const isProbability = results.every(({ relevance_score: score }) => score >= 0 && score <= 1);
+    const scores = new Array(candidates.length).fill(0);
+    for (const { index, relevance_score: score } of results) {
+      scores[index] = isProbability ? score : 1 / (1 + Math.exp(-score));
+    }
+    return topByScore(candidates, scores, topK);
+  }
+}
+
+/**
+ * Create a reranker by type, or return null for "none"
+ */
+export function createReranker({ type = "none", model, concurrency } = {}) {
+  const openai = new OpenAI({
+    apiKey: "api_key",
+    baseURL: "http://localhost:1234/v1",
+    maxRetries: 0, // Retries are handled by withRetry
+  });
+
+  switch (type) {
+    case "none":
+      return null;
+    case "llm":
+      return new LlmPointwiseReranker({ openai, model, ...(Number.isFinite(concurrency) && { concurrency }) });
+    case "llm-listwise":
+      return new LlmListwiseReranker({ openai, model });
+    case "cross-encoder":
+      return new CrossEncoderReranker({ openai, model });
+    default:
+      throw new Error(`Unknown reranker "${type}" (expected llm, llm-listwise, cross-encoder or none)`);
+  }
+}
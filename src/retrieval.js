@@ -2,6 +2,66 @@ import OpenAI from "openai";
 import * as lancedb from "@lancedb/lancedb";
 import { QueryAnalyzer } from "./queryAnalyzer.js";
 import { WebSearcher } from "./webSearch.js";
+import { EmbeddingCache } from "./embeddingCache.js";
+import { IndexManifest, DISTANCE_METRICS } from "./indexManifest.js";
+import { Redactor } from "./redaction.js";
+import { SUMMARY_LEVELS } from "./summarizer.js";
+import { createReranker } from "./reranking.js";
+import { createQueryExpander } from "./queryExpansion.js";
+import { sqlString } from "./sql.js";
+
+// Questions about a whole document or chapter rather than a specific fact
+const BROAD_QUERY_PATTERNS = [
+  /\b(summari[sz]e|summary|overview|outline|gist|recap|tl;?dr)\b/i,
+  /\bwhat (is|are) (this|the|these) (document|paper|report|book|file|text|chapter|section)s?\b.*\babout\b/i,
+  /\b(main|key) (points|ideas|topics|themes|takeaways|findings)\b/i,
+  /\b(chapter|section|part)\s+(\d+|[ivx]+)\b/i,
+];
+
+/**
+ * Cosine similarity of two vectors
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA === 0 || normB === 0 ? 0 : dot / Math.sqrt(normA * normB);
+}
+
+// Values of the contentType column
+export const CONTENT_TYPES = ["text", "table", "image", "summary"];
+
+/**
+ * Run fn and record how long it took as [stage, milliseconds] in timings
+ */
+async function timed(timings, stage, fn) {
+  const start = performance.now();
+  try {
+    return await fn();
+  } finally {
+    timings.push([stage, performance.now() - start]);
+  }
+}
+
+/**
+ * Format stage timings, e.g. "query embedding 12ms, search 30ms (total 42ms)"
+ */
+function formatTimings(timings) {
+  const total = timings.reduce((sum, [, ms]) => sum + ms, 0);
+  return `${timings.map(([stage, ms]) => `${stage} ${Math.round(ms)}ms`).join(", ")} (total ${Math.round(total)}ms)`;
+}
+
+/**
+ * Whether a query asks for an overview, so summaries should come before raw chunks
+ */
+function isBroadQuery(query) {
+  return BROAD_QUERY_PATTERNS.some((pattern) => pattern.test(query));
+}
 
 /**
  * Corrective Retrieval Module (CRAG)
@@ -16,6 +76,88 @@ export class Retriever {
     });
     this.embeddingModel = process.env.EMBEDDING_MODEL; // Same model as indexing
     this.dbPath = dbPath;
+    this.embeddingCache = process.env.EMBEDDING_CACHE !== "false"
+      ? new EmbeddingCache(dbPath, this.embeddingModel)
+      : null;
+
+    // Connection and documents table handle kept for the whole session (see openDocumentsTable)
+    this.db = null;
+    this.table = null;
+    this.tableVersion = null;
+
+    // Set while the index is being updated so queries see one consistent table version
+    // (of both the documents and the parent_chunks table)
+    this.pinnedVersion = null;
+    this.pinnedParentVersion = null;
+
+    // Query embeddings of this session, least recently used first; 0 disables
+    const embeddingLruSize = parseInt(process.env.QUERY_EMBEDDING_LRU_SIZE, 10);
+    this.queryEmbeddingLruSize = Number.isFinite(embeddingLruSize) ? embeddingLruSize : 256;
+    this.queryEmbeddingLru = new Map();
+
+    // Small-to-big: match on small chunks, answer from their parent windows
+    this.smallToBig = process.env.SMALL_TO_BIG !== "false";
+    this.maxContextChars = parseInt(process.env.MAX_CONTEXT_CHARS, 10) || 12000;
+
+    // Summary rows (SUMMARIES=true at index time) searched alongside the chunks; 0 disables
+    const summaryTopK = parseInt(process.env.SUMMARY_TOP_K, 10);
+    this.summaryTopK = Number.isFinite(summaryTopK) ? summaryTopK : 4;
+
+    // Hybrid search: BM25 full-text search next to the vector search, so part numbers,
+    // error codes and acronyms match verbatim. Fusion is "rrf" (reciprocal rank) or "weighted".
+    this.searchMode = process.env.SEARCH_MODE || "hybrid";
+    this.fusion = process.env.HYBRID_FUSION || "rrf";
+    this.rrfK = parseInt(process.env.RRF_K, 10) || 60;
+    const lexicalWeight = parseFloat(process.env.HYBRID_LEXICAL_WEIGHT);
+    this.lexicalWeight = Number.isFinite(lexicalWeight) ? lexicalWeight : 0.3;
+    this.fullTextWarningShown = false;
+
+    // Optional reranking: the search returns RERANK_CANDIDATES candidates, the reranker keeps the best RERANK_TOP_K
+    this.reranker = createReranker({
+      type: process.env.RERANKER || "none",
+      model: process.env.RERANK_MODEL || process.env.LLM_MODEL,
+      concurrency: parseInt(process.env.RERANK_CONCURRENCY, 10),
+    });
+    this.rerankCandidates = parseInt(process.env.RERANK_CANDIDATES, 10) || 30;
+    this.rerankTopK = parseInt(process.env.RERANK_TOP_K, 10) || 5;
+
+    // Maximal Marginal Relevance: pick results from a larger pool, trading relevance (lambda = 1)
+    // against redundancy with the results already picked (lambda = 0). Can be set per query.
+    this.useMMR = process.env.MMR === "true";
+    const mmrLambda = parseFloat(process.env.MMR_LAMBDA);
+    this.mmrLambda = Number.isFinite(mmrLambda) ? mmrLambda : 0.7;
+    this.mmrPoolFactor = parseInt(process.env.MMR_POOL_FACTOR, 10) || 4;
+
+    // Optional query expansion: paraphrases and/or a hypothetical answer (HyDE) are searched
+    // next to the question and the result lists are fused
+    this.queryExpander = createQueryExpander({
+      mode: process.env.QUERY_EXPANSION || "none",
+      model: process.env.LLM_MODEL,
+      count: parseInt(process.env.QUERY_EXPANSION_COUNT, 10),
+    });
+
+    // Distance metric for the vector search; defaults to the one recorded in the index manifest
+    this.distanceMetric = process.env.DISTANCE_METRIC || null;
+    if (this.distanceMetric && !DISTANCE_METRICS.includes(this.distanceMetric)) {
+      throw new Error(`Unknown distance metric "${this.distanceMetric}" (expected ${DISTANCE_METRICS.join(", ")})`);
+    }
+    // Cutoffs that drop weak matches, so a query can end up with no local results:
+    // MAX_DISTANCE in the metric's own units, MIN_RELEVANCE on the 0-1 relevance score
+    const maxDistance = parseFloat(process.env.MAX_DISTANCE);
+    this.maxDistance = Number.isFinite(maxDistance) ? maxDistance : null;
+    const minRelevance = parseFloat(process.env.MIN_RELEVANCE);
+    this.minRelevance = Number.isFinite(minRelevance) ? minRelevance : null;
+
+    // ANN index tuning (only used when the table has a vector index): partitions probed per
+    // query (LanceDB default: 20) and the factor of extra candidates re-ranked by exact distance
+    this.nprobes = parseInt(process.env.NPROBES, 10) || null;
+    this.refineFactor = parseInt(process.env.REFINE_FACTOR, 10) || null;
+
+    // "strict" refuses to query an index built with another embedding model, "warn" only reports it
+    this.manifestCheck = process.env.INDEX_MANIFEST_CHECK || "strict";
+
+    // The web search query is built from retrieved chunks, so it is redacted like the index
+    this.redactor = process.env.REDACTION === "true" ? new Redactor({ mode: "mask" }) : null;
 
     // CRAG components
     this.queryAnalyzer = new QueryAnalyzer(apiKey);
@@ -26,85 +168,920 @@ export class Retriever {
     this.useQuickAnalysis = false; // Use heuristic vs LLM-based analysis
   }
 
+  /**
+   * Check that the index was built with the embedding model used for queries
+   * Compares the index manifest with EMBEDDING_MODEL and the dimension of a probe
+   * embedding; throws on a mismatch unless INDEX_MANIFEST_CHECK is "warn"
+   */
+  async validateIndex() {
+    if (this.manifestCheck === "off") {
+      return null;
+    }
+
+    const indexManifest = new IndexManifest(this.dbPath);
+    const manifest = await indexManifest.read();
+    if (!manifest) {
+      console.warn("⚠ Index has no manifest (built by an older version); cannot verify the embedding model");
+      console.warn("  Re-run indexing to record one: npm run index");
+      return null;
+    }
+
+    console.log(
+      `✓ Index manifest: ${manifest.embeddingModel}, ${manifest.vectorDimension} dimensions, ` +
+        `${IndexManifest.describeChunker(manifest.chunker)} chunker, ${manifest.sources.length} source(s), ` +
+        `indexed ${manifest.indexedAt} (v${manifest.appVersion})`
+    );
+
+    const current = { embeddingModel: this.embeddingModel };
+    // The dimension can only be checked by embedding something with the current model
+    if (manifest.embeddingModel === this.embeddingModel) {
+      const probe = await this.generateQueryEmbedding("index manifest check");
+      current.vectorDimension = probe.length;
+    }
+    const differences = indexManifest.compare(manifest, current);
+
+    if (this.distanceMetric && this.distanceMetric !== manifest.distanceMetric) {
+      console.warn(`⚠ Searching with ${this.distanceMetric} distance, the index was built for ${manifest.distanceMetric}`);
+    }
+    if (manifest.appVersion !== IndexManifest.appVersion) {
+      console.warn(`⚠ Index was built by version ${manifest.appVersion}, running ${IndexManifest.appVersion}`);
+    }
+    if (differences.length > 0) {
+      const message = `Index does not match the query configuration: ${differences.join("; ")}`;
+      if (this.manifestCheck !== "warn") {
+        throw new Error(`${message}. Re-index with npm run index, or set INDEX_MANIFEST_CHECK=warn to query anyway`);
+      }
+      console.warn(`⚠ ${message}`);
+    }
+
+    return manifest;
+  }
+
+  /**
+   * Distance metric used by the vector search: DISTANCE_METRIC, else the one recorded in
+   * the index manifest, else LanceDB's default (l2)
+   */
+  async resolveDistanceMetric() {
+    if (!this.distanceMetric) {
+      const manifest = await new IndexManifest(this.dbPath).read().catch(() => null);
+      this.distanceMetric = manifest ? manifest.distanceMetric : "l2";
+    }
+    return this.distanceMetric;
+  }
+
+  /**
+   * LanceDB connection, opened once per Retriever
+   */
+  async getConnection() {
+    if (!this.db) {
+      this.db = await lancedb.connect(this.dbPath);
+    }
+    return this.db;
+  }
+
+  /**
+   * Open the documents table at its latest version, or at the pinned version while
+   * an index update is in progress
+   * The table handle is kept between queries. Before each query it is moved to the latest
+   * version, and reopened when that version differs from the one it was opened at, so
+   * re-indexing (also a rebuild by another process) and new indexes are picked up.
+   */
+  async openDocumentsTable() {
+    const db = await this.getConnection();
+    if (this.table) {
+      try {
+        await this.table.checkoutLatest();
+        const version = await this.table.version();
+        if (version !== this.tableVersion) {
+          console.log(`ℹ  Documents table changed (v${this.tableVersion} → v${version}), reopening`);
+          this.table = null;
+        }
+      } catch (error) {
+        this.table = null; // The table was dropped or rebuilt under the handle
+      }
+    }
+    if (!this.table) {
+      this.table = await db.openTable("documents");
+      this.tableVersion = await this.table.version();
+    }
+
+    if (this.pinnedVersion !== null) {
+      try {
+        await this.table.checkout(this.pinnedVersion);
+      } catch (error) {
+        // The table was rebuilt and the old version is gone; use the latest one
+        this.pinnedVersion = null;
+        await this.table.checkoutLatest();
+      }
+    }
+    return this.table;
+  }
+
+  /**
+   * Keep answering from the current table version until unpinTableVersion is called
+   */
+  async pinTableVersion() {
+    try {
+      const table = await this.openDocumentsTable();
+      this.pinnedVersion = await table.version();
+    } catch (error) {
+      this.pinnedVersion = null; // No table yet
+    }
+    try {
+      const db = await this.getConnection();
+      this.pinnedParentVersion = (await db.tableNames()).includes("parent_chunks")
+        ? await (await db.openTable("parent_chunks")).version()
+        : null;
+    } catch (error) {
+      this.pinnedParentVersion = null;
+    }
+  }
+
+  unpinTableVersion() {
+    this.pinnedVersion = null;
+    this.pinnedParentVersion = null;
+    this.table = null; // Reopened by the next query, after the update
+  }
+
+  /**
+   * Open the parent_chunks table at the version pinned with the documents table, or at
+   * its latest version; null when there is no parent table (or there was none when pinned)
+   */
+  async openParentTable() {
+    const db = await this.getConnection();
+    if (!(await db.tableNames()).includes("parent_chunks")) {
+      return null;
+    }
+    if (this.pinnedVersion !== null && this.pinnedParentVersion === null) {
+      return null; // Created by the update in progress; the pinned documents do not use it
+    }
+    const parentTable = await db.openTable("parent_chunks");
+    if (this.pinnedParentVersion !== null) {
+      try {
+        await parentTable.checkout(this.pinnedParentVersion);
+      } catch (error) {
+        // The table was rebuilt and the old version is gone; the latest one is already open
+      }
+    }
+    return parentTable;
+  }
+
   /**
    * Generate embedding for the user query
+   * Looked up in the in-memory LRU of this session first, then in the persistent cache
    */
   async generateQueryEmbedding(query) {
     try {
-      const response = await this.openai.embeddings.create({
-        model: this.embeddingModel,
-        input: query,
-      });
+      const recent = this.queryEmbeddingLru.get(query);
+      if (recent) {
+        // Move to the most recently used end
+        this.queryEmbeddingLru.delete(query);
+        this.queryEmbeddingLru.set(query, recent);
+        console.log("  (query embedding reused from this session)");
+        return recent;
+      }
+
+      let embedding = null;
+      if (this.embeddingCache) {
+        [embedding] = await this.embeddingCache.getMany([query]);
+        if (embedding) {
+          console.log("  (query embedding loaded from cache)");
+        }
+      }
+      if (!embedding) {
+        const response = await this.openai.embeddings.create({
+          model: this.embeddingModel,
+          input: query,
+        });
+        embedding = response.data[0].embedding;
+        if (this.embeddingCache) {
+          await this.embeddingCache.putMany([query], [embedding]);
+        }
+      }
 
-      return response.data[0].embedding;
+      if (this.queryEmbeddingLruSize > 0) {
+        this.queryEmbeddingLru.set(query, embedding);
+        if (this.queryEmbeddingLru.size > this.queryEmbeddingLruSize) {
+          this.queryEmbeddingLru.delete(this.queryEmbeddingLru.keys().next().value);
+        }
+      }
+      return embedding;
     } catch (error) {
       console.error("Error generating query embedding:", error);
       throw error;
     }
   }
 
+  /**
+   * Apply the distance metric and the ANN index settings to a vector query
+   */
+  tuneVectorSearch(search, nprobes = this.nprobes) {
+    search = search.distanceType(this.distanceMetric || "l2");
+    if (nprobes) {
+      search = search.nprobes(nprobes);
+    }
+    if (this.refineFactor) {
+      search = search.refineFactor(this.refineFactor);
+    }
+    return search;
+  }
+
+  /**
+   * Compare the ANN index with exhaustive search on the current table
+   * Stored vectors of randomly sampled rows serve as queries, so no embedding requests are
+   * made; each query's own row is left out of its results, since it would always be found.
+   * For the configured nprobes and a few alternatives, reports recall@topK against the
+   * exhaustive results and the mean / p95 latency of both.
+   */
+  async benchmarkVectorSearch({ queries = 50, topK = 10 } = {}) {
+    await this.resolveDistanceMetric();
+    const table = await this.openDocumentsTable();
+    const rowCount = await table.countRows();
+    const vectorIndex = (await table.listIndices()).find((index) => index.columns.includes("vector"));
+    console.log(`Table: ${rowCount} rows, ${this.distanceMetric} distance`);
+    if (!vectorIndex) {
+      console.log("ℹ  The table has no vector index; every query is an exhaustive scan (see VECTOR_INDEX_MIN_ROWS)");
+      return null;
+    }
+    const stats = await table.indexStats(vectorIndex.name);
+    console.log(
+      `Vector index: ${vectorIndex.name} (${vectorIndex.indexType}), ${stats.numIndexedRows} rows indexed, ` +
+        `${stats.numUnindexedRows} not indexed`
+    );
+
+    // Sample query vectors from the table (ids are not contiguous after incremental updates)
+    const allIds = (await table.query().select(["id"]).toArray()).map((row) => row.id);
+    const sampleIds = [...new Set(Array.from({ length: queries }, () => allIds[Math.floor(Math.random() * allIds.length)]))];
+    const sampleRows = await table
+      .query()
+      .where(`id IN (${sampleIds.join(", ")})`)
+      .select(["id", "vector"])
+      .toArray();
+    const queryRows = sampleRows.map((row) => ({ id: row.id, vector: Array.from(row.vector) }));
+    console.log(`Queries: ${queryRows.length} stored vectors (excluding their own rows), top ${topK}\n`);
+
+    const latencyStats = (latencies) => {
+      const sorted = [...latencies].sort((a, b) => a - b);
+      return {
+        mean: sorted.reduce((sum, ms) => sum + ms, 0) / sorted.length,
+        p95: sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))],
+      };
+    };
+    const run = async (buildSearch) => {
+      const ids = [];
+      const latencies = [];
+      for (const query of queryRows) {
+        const start = performance.now();
+        const rows = await buildSearch(query.vector).select(["id"]).limit(topK + 1).toArray();
+        latencies.push(performance.now() - start);
+        ids.push(rows.map((row) => row.id).filter((id) => id !== query.id).slice(0, topK));
+      }
+      return { ids, ...latencyStats(latencies) };
+    };
+
+    const exhaustive = await run((vector) => table.search(vector).distanceType(this.distanceMetric).bypassVectorIndex());
+    const nprobesValues = [...new Set([this.nprobes || 20, 5, 10, 20, 50, 100])].sort((a, b) => a - b);
+    const results = [{ label: "exhaustive", recall: 1, mean: exhaustive.mean, p95: exhaustive.p95 }];
+    for (const nprobes of nprobesValues) {
+      const indexed = await run((vector) => this.tuneVectorSearch(table.search(vector), nprobes));
+      const recall =
+        indexed.ids.reduce((sum, ids, index) => {
+          const expected = new Set(exhaustive.ids[index]);
+          return sum + (expected.size > 0 ? ids.filter((id) => expected.has(id)).length / expected.size : 1);
+        }, 0) / indexed.ids.length;
+      results.push({
+        label: `nprobes ${nprobes}${this.refineFactor ? `, refine ${this.refineFactor}` : ""}${nprobes === (this.nprobes || 20) ? " (current)" : ""}`,
+        recall,
+        mean: indexed.mean,
+        p95: indexed.p95,
+      });
+    }
+
+    results.forEach(({ label, recall, mean, p95 }) => {
+      console.log(
+        `  ${label.padEnd(34)} recall@${topK} ${recall.toFixed(3)}   mean ${mean.toFixed(1)}ms   p95 ${p95.toFixed(1)}ms`
+      );
+    });
+    return results;
+  }
+
+  /**
+   * Full-text (BM25) search over the text column
+   * Returns [] (with a one-time warning) when the table has no full-text index
+   */
+  async searchFullText(table, query, limit, where = null) {
+    try {
+      let search = table.search(query, "fts");
+      if (where) {
+        search = search.where(where);
+      }
+      return await search.limit(limit).toArray();
+    } catch (error) {
+      if (!this.fullTextWarningShown) {
+        console.warn(`⚠ Full-text search unavailable, using vector search only (re-index to build the index): ${error.message}`);
+        this.fullTextWarningShown = true;
+      }
+      return [];
+    }
+  }
+
+  /**
+   * Fuse vector and full-text results into one ranking
+   * Every result gets vectorRank/lexicalRank (1-based, null when not found by that search),
+   * lexicalScore (BM25) and the fused hybridScore it is sorted by:
+   * - rrf: sum of 1 / (RRF_K + rank) over both lists
+   * - weighted: min-max normalized vector similarity and BM25 score, mixed by HYBRID_LEXICAL_WEIGHT
+   */
+  fuseResults(vectorResults, lexicalResults, limit) {
+    const byId = new Map();
+    vectorResults.forEach((result, index) => {
+      byId.set(result.id, { ...result, vectorRank: index + 1, lexicalRank: null, lexicalScore: null });
+    });
+    lexicalResults.forEach((result, index) => {
+      const { _score, ...row } = result;
+      const existing = byId.get(result.id);
+      if (existing) {
+        existing.lexicalRank = index + 1;
+        existing.lexicalScore = _score;
+      } else {
+        byId.set(result.id, { ...row, vectorRank: null, lexicalRank: index + 1, lexicalScore: _score });
+      }
+    });
+
+    const normalize = (value, values) => {
+      const min = Math.min(...values);
+      const max = Math.max(...values);
+      return max === min ? 1 : (value - min) / (max - min);
+    };
+    const distances = vectorResults.map((result) => result._distance);
+    const lexicalScores = lexicalResults.map((result) => result._score);
+
+    const fused = [...byId.values()];
+    for (const result of fused) {
+      if (this.fusion === "weighted") {
+        const vectorScore = result.vectorRank ? 1 - normalize(result._distance, distances) : 0;
+        const lexicalScore = result.lexicalRank ? normalize(result.lexicalScore, lexicalScores) : 0;
+        result.hybridScore = (1 - this.lexicalWeight) * vectorScore + this.lexicalWeight * lexicalScore;
+      } else {
+        result.hybridScore =
+          (result.vectorRank ? 1 / (this.rrfK + result.vectorRank) : 0) +
+          (result.lexicalRank ? 1 / (this.rrfK + result.lexicalRank) : 0);
+      }
+    }
+
+    return fused.sort((a, b) => b.hybridScore - a.hybridScore).slice(0, limit);
+  }
+
+  /**
+   * Search one pool of rows (chunks or summaries), by vector only or hybrid
+   * Hybrid search fetches twice as many candidates from each search before fusing
+   */
+  async searchPool(table, queryEmbedding, query, limit, where = null) {
+    const vectorSearch = (count) => {
+      let search = this.tuneVectorSearch(table.search(queryEmbedding));
+      if (where) {
+        search = search.where(where);
+      }
+      return search.limit(count).toArray();
+    };
+    if (this.searchMode !== "hybrid") {
+      return vectorSearch(limit);
+    }
+
+    const [vectorResults, lexicalResults] = await Promise.all([
+      vectorSearch(limit * 2),
+      this.searchFullText(table, query, limit * 2, where),
+    ]);
+    if (lexicalResults.length === 0) {
+      return vectorResults.slice(0, limit);
+    }
+    return this.fuseResults(vectorResults, lexicalResults, limit);
+  }
+
+  /**
+   * Search chunks and summaries as two separate pools so summaries can't crowd out
+   * chunks (or the reverse), then combine them
+   * Broad queries put the best summaries first; other queries rank everything by
+   * distance (or fused score, in hybrid mode) and keep the topK best. Indexes without
+   * summaries are searched as before.
+   */
+  async searchAcrossLevels(table, queryEmbedding, query, topK, where = null) {
+    const schema = await table.schema();
+    if (this.summaryTopK <= 0 || !schema.fields.some((field) => field.name === "level")) {
+      return this.searchPool(table, queryEmbedding, query, topK, where);
+    }
+
+    const withLevel = (levelPredicate) => (where ? `(${where}) AND ${levelPredicate}` : levelPredicate);
+    const [chunks, summaries] = await Promise.all([
+      this.searchPool(table, queryEmbedding, query, topK, withLevel("level = 0")),
+      this.searchPool(table, queryEmbedding, query, this.summaryTopK, withLevel("level > 0")),
+    ]);
+    if (summaries.length === 0) {
+      return chunks;
+    }
+
+    const broad = isBroadQuery(query);
+    const byRelevance = (a, b) =>
+      a.hybridScore !== undefined && b.hybridScore !== undefined
+        ? b.hybridScore - a.hybridScore
+        : (a._distance ?? Infinity) - (b._distance ?? Infinity);
+    const results = broad
+      ? [...summaries, ...chunks]
+      : [...chunks, ...summaries].sort(byRelevance).slice(0, topK);
+    const summaryCount = results.filter((result) => result.level > 0).length;
+    console.log(
+      `✓ ${broad ? "Broad" : "Specific"} query: ${summaryCount} summar${summaryCount === 1 ? "y" : "ies"} + ` +
+        `${results.length - summaryCount} chunks`
+    );
+    return results;
+  }
+
+  /**
+   * First-stage search: with query expansion when it is enabled, otherwise one search
+   */
+  searchCandidates(table, queryEmbedding, query, limit, where = null) {
+    return this.queryExpander
+      ? this.searchWithExpansion(table, queryEmbedding, query, limit, where)
+      : this.searchAcrossLevels(table, queryEmbedding, query, limit, where);
+  }
+
+  /**
+   * Search for the question and its expansions (paraphrases, hypothetical answer) and fuse
+   * the result lists by reciprocal rank
+   * Every result keeps the row from the variant that ranked it best and gets matchedBy
+   * ([{ label, rank }], one entry per variant that found it) and the fused expansionScore.
+   * Falls back to the plain search when no variant could be generated.
+   */
+  async searchWithExpansion(table, queryEmbedding, query, limit, where = null) {
+    const variants = await this.queryExpander.expand(query);
+    console.log(`🧭 Query expansion (${this.queryExpander.mode}): ${variants.length - 1} extra quer${variants.length === 2 ? "y" : "ies"}`);
+    variants.slice(1).forEach((variant) => {
+      console.log(`  [${variant.label}] ${variant.text.replace(/\s+/g, " ").substring(0, 160)}`);
+    });
+    console.log("");
+    if (variants.length === 1) {
+      return this.searchAcrossLevels(table, queryEmbedding, query, limit, where);
+    }
+
+    // Embedded one at a time so the embedding cache is written by one request at a time
+    const resultLists = [];
+    for (const variant of variants) {
+      const embedding = variant.label === "original" ? queryEmbedding : await this.generateQueryEmbedding(variant.text);
+      resultLists.push(await this.searchAcrossLevels(table, embedding, variant.text, limit, where));
+    }
+
+    const byId = new Map();
+    resultLists.forEach((results, variantIndex) => {
+      const { label } = variants[variantIndex];
+      results.forEach((result, index) => {
+        const existing = byId.get(result.id);
+        const score = 1 / (this.rrfK + index + 1);
+        if (!existing) {
+          byId.set(result.id, { ...result, matchedBy: [{ label, rank: index + 1 }], expansionScore: score, bestRank: index + 1 });
+          return;
+        }
+        existing.matchedBy.push({ label, rank: index + 1 });
+        existing.expansionScore += score;
+        if (index + 1 < existing.bestRank) {
+          Object.assign(existing, result, { matchedBy: existing.matchedBy, expansionScore: existing.expansionScore, bestRank: index + 1 });
+        }
+      });
+    });
+
+    // Broad queries keep their summaries first, as in searchAcrossLevels
+    const broad = isBroadQuery(query);
+    const fused = [...byId.values()]
+      .map(({ bestRank, ...result }) => result)
+      .sort((a, b) => (broad ? (b.level > 0) - (a.level > 0) : 0) || b.expansionScore - a.expansionScore)
+      .slice(0, limit);
+    const extraOnly = fused.filter((result) => !result.matchedBy.some(({ label }) => label === "original")).length;
+    console.log(`✓ Fused ${resultLists.length} result lists: ${fused.length} results, ${extraOnly} found only by the expansions`);
+    return fused;
+  }
+
+  /**
+   * Select topK results by Maximal Marginal Relevance
+   * Each step picks the candidate maximizing lambda * relevance - (1 - lambda) * redundancy,
+   * where redundancy is its highest cosine similarity to an already picked result.
+   * Relevance is the candidate's relevance score (see scoreRelevance), or the min-max
+   * normalized fused score for query expansion or hybrid results (so lexical matches and
+   * matches of several query variants keep their weight).
+   */
+  selectByMMR(candidates, topK, lambda) {
+    const vectors = candidates.map((candidate) => Array.from(candidate.vector));
+    let relevance = candidates.map((candidate) => candidate.relevance);
+    const scoreKey = ["expansionScore", "hybridScore"].find((key) =>
+      candidates.every((candidate) => candidate[key] !== undefined)
+    );
+    if (scoreKey) {
+      const scores = candidates.map((candidate) => candidate[scoreKey]);
+      const min = Math.min(...scores);
+      const max = Math.max(...scores);
+      relevance = scores.map((score) => (max === min ? 1 : (score - min) / (max - min)));
+    }
+
+    const selected = [];
+    const remaining = candidates.map((candidate, index) => index);
+    while (selected.length < topK && remaining.length > 0) {
+      let best = null;
+      for (const index of remaining) {
+        const redundancy = selected.length > 0
+          ? Math.max(...selected.map((picked) => cosineSimilarity(vectors[index], vectors[picked.index])))
+          : 0;
+        const score = lambda * relevance[index] - (1 - lambda) * redundancy;
+        if (!best || score > best.score) {
+          best = { index, score, redundancy };
+        }
+      }
+      selected.push(best);
+      remaining.splice(remaining.indexOf(best.index), 1);
+    }
+
+    return selected.map(({ index, score, redundancy }) => ({
+      ...candidates[index],
+      mmr: { candidateRank: index + 1, relevance: relevance[index], redundancy, score },
+    }));
+  }
+
+  /**
+   * Set a 0-1 relevance score on every result and drop the ones below the cutoffs
+   * The score is the cosine similarity between the query and the chunk, clamped to 0-1,
+   * so it means the same whatever the distance metric and also covers rows found only by
+   * the full-text search. MAX_DISTANCE applies to rows found by the vector search.
+   */
+  scoreRelevance(queryEmbedding, results) {
+    const scored = results.map((result) => ({
+      ...result,
+      relevance: Math.min(1, Math.max(0, cosineSimilarity(queryEmbedding, Array.from(result.vector)))),
+    }));
+    const kept = scored.filter(
+      (result) =>
+        (this.maxDistance === null || typeof result._distance !== "number" || result._distance <= this.maxDistance) &&
+        (this.minRelevance === null || result.relevance >= this.minRelevance)
+    );
+
+    if (kept.length < scored.length) {
+      const cutoffs = [
+        this.maxDistance !== null ? `max ${this.distanceMetric} distance ${this.maxDistance}` : null,
+        this.minRelevance !== null ? `min relevance ${this.minRelevance}` : null,
+      ].filter(Boolean);
+      console.log(`✂ Cutoff (${cutoffs.join(", ")}): dropped ${scored.length - kept.length} of ${scored.length} results\n`);
+    }
+    return kept;
+  }
+
+  /**
+   * Translate a metadata filter into a LanceDB where predicate (null for no filter)
+   * Filter fields, all optional:
+   * - contentType: "text", "table", "image" or "summary", or an array of them
+   * - pageFrom / pageTo: inclusive page range
+   * - source: case-insensitive part of the source path or title
+   * - documentId: exact document id
+   * - modifiedAfter / modifiedBefore: dates (or ISO times) the source file was last modified
+   */
+  buildFilterPredicate(filter = {}) {
+    const predicates = [];
+
+    if (filter.contentType) {
+      const types = [].concat(filter.contentType);
+      const unknown = types.filter((type) => !CONTENT_TYPES.includes(type));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown content type "${unknown[0]}" (expected ${CONTENT_TYPES.join(", ")})`);
+      }
+      predicates.push(`\`contentType\` IN (${types.map(sqlString).join(", ")})`);
+    }
+    for (const [key, operator] of [["pageFrom", ">="], ["pageTo", "<="]]) {
+      if (filter[key] !== undefined && filter[key] !== null) {
+        const page = Number(filter[key]);
+        if (!Number.isInteger(page)) {
+          throw new Error(`Invalid ${key} "${filter[key]}" (expected a page number)`);
+        }
+        predicates.push(`\`pageNumber\` ${operator} ${page}`);
+      }
+    }
+    if (filter.source) {
+      // A plain substring test: with LIKE, "_" and "%" in the value would act as wildcards
+      const needle = sqlString(String(filter.source).toLowerCase());
+      predicates.push(`(strpos(lower(\`sourcePath\`), ${needle}) > 0 OR strpos(lower(\`sourceTitle\`), ${needle}) > 0)`);
+    }
+    if (filter.documentId) {
+      predicates.push(`\`documentId\` = ${sqlString(filter.documentId)}`);
+    }
+    for (const [key, operator] of [["modifiedAfter", ">="], ["modifiedBefore", "<="]]) {
+      if (filter[key]) {
+        const time = new Date(filter[key]);
+        if (Number.isNaN(time.getTime())) {
+          throw new Error(`Invalid ${key} "${filter[key]}" (expected a date such as 2024-06-30)`);
+        }
+        // A date on its own includes the whole day when it is the upper bound
+        if (key === "modifiedBefore" && /^\d{4}-\d{2}-\d{2}$/.test(filter[key])) {
+          time.setUTCHours(23, 59, 59, 999);
+        }
+        predicates.push(`\`modifiedAt\` ${operator} ${sqlString(time.toISOString())}`);
+      }
+    }
+
+    return predicates.length > 0 ? predicates.join(" AND ") : null;
+  }
+
   /**
    * Search for similar documents in LanceDB
+   * Options:
+   * - filter: metadata filter restricting the rows searched (see buildFilterPredicate)
+   * - mmr: true/false to turn MMR selection on or off for this query, or a lambda (0-1);
+   *   defaults to MMR / MMR_LAMBDA
    */
-  async searchSimilarDocuments(query, topK = 3) {
+  async searchSimilarDocuments(query, topK = 3, options = {}) {
+    const { filter = null, mmr = this.useMMR } = options;
+    const mmrLambda = typeof mmr === "number" ? mmr : this.mmrLambda;
     try {
       console.log("\n=== RETRIEVAL STEP (Local Documents) ===\n");
       console.log(`Query: "${query}"\n`);
+      const where = filter ? this.buildFilterPredicate(filter) : null;
+      if (where) {
+        console.log(`Filter: ${where}\n`);
+      }
 
-      // Connect to LanceDB
-      const db = await lancedb.connect(this.dbPath);
-      const table = await db.openTable("documents");
+      // Stage latencies, printed after the results
+      const timings = [];
+
+      // Open the documents table (kept between queries)
+      const table = await timed(timings, "open table", async () => {
+        await this.resolveDistanceMetric();
+        return this.openDocumentsTable();
+      });
 
       // Generate query embedding
       console.log("Generating query embedding...");
-      const queryEmbedding = await this.generateQueryEmbedding(query);
+      const queryEmbedding = await timed(timings, "query embedding", () => this.generateQueryEmbedding(query));
+      const searchStage = this.queryExpander ? "expansion + search" : "search";
 
-      // Perform vector search
-      console.log(`Searching for top ${topK} similar documents...\n`);
-      const results = await table.search(queryEmbedding).limit(topK).toArray();
-
-      // Display results
+      // Perform vector (or hybrid vector + full-text) search
       console.log(
-        `✓ Found ${results.length} relevant chunks from local documents:\n`
+        `Searching for top ${topK} similar documents (${this.searchMode === "hybrid" ? `hybrid, ${this.fusion} fusion` : "vector"}, ` +
+          `${this.distanceMetric} distance)...\n`
       );
+      let results;
+      if (mmr === true || typeof mmr === "number") {
+        // MMR picks from a larger pool of candidates to have room to diversify
+        const candidates = this.scoreRelevance(
+          queryEmbedding,
+          await timed(timings, searchStage, () => this.searchCandidates(table, queryEmbedding, query, topK * this.mmrPoolFactor, where))
+        );
+        results = await timed(timings, "MMR", async () => this.selectByMMR(candidates, topK, mmrLambda));
+        const reordered = results.filter((result, index) => result.mmr.candidateRank !== index + 1).length;
+        console.log(
+          `🔀 MMR (λ=${mmrLambda}): picked ${results.length} of ${candidates.length} candidates, ` +
+            `${reordered} different from plain ranking\n`
+        );
+      } else {
+        results = this.scoreRelevance(
+          queryEmbedding,
+          await timed(timings, searchStage, () => this.searchCandidates(table, queryEmbedding, query, topK, where))
+        );
+      }
+
+      // Display results
+      if (results.length === 0) {
+        console.log("⚠ No local chunk is close enough to the query\n");
+      } else {
+        console.log(`✓ Found ${results.length} relevant chunks from local documents:\n`);
+      }
       results.forEach((result, index) => {
         const contentType = result.contentType || "text";
-        const pageInfo = result.pageNumber ? ` (Page ${result.pageNumber})` : "";
-        const typeIcon = contentType === "image" ? "🖼️ " : "📄 ";
+        const pageInfo = result.pageNumber ? ` (Page ${result.pageNumber}${result.ocr ? `, OCR ${Number(result.ocrConfidence).toFixed(0)}%` : ""})` : "";
+        const typeIcon = { image: "🖼️ ", table: "📊 ", summary: "🧾 " }[contentType] || "📄 ";
+        const typeLabel = contentType === "summary" ? SUMMARY_LEVELS[result.level] || contentType : contentType;
         
-        console.log(
-          `--- ${typeIcon}Chunk ${index + 1} [${contentType}]${pageInfo} (Distance: ${
-            result._distance?.toFixed(4) || "N/A"
-          }) ---`
-        );
+        const distanceInfo = typeof result._distance === "number" ? `, ${this.distanceMetric} distance ${result._distance.toFixed(4)}` : "";
+
+        console.log(`--- ${typeIcon}Chunk ${index + 1} [${typeLabel}]${pageInfo} (Relevance: ${result.relevance.toFixed(3)}${distanceInfo}) ---`);
+        if (result.sourcePath) {
+          console.log(`Source: ${result.sourceTitle} (${result.sourcePath}) [doc ${result.documentId}]`);
+        }
+        if (result.sectionPath) {
+          console.log(`Section: ${result.sectionPath}`);
+        }
+        if (result.context) {
+          console.log(`Context: ${result.context}`);
+        }
+        if (result.hybridScore !== undefined) {
+          const vectorInfo = result.vectorRank ? `#${result.vectorRank} (distance ${result._distance.toFixed(4)})` : "-";
+          const lexicalInfo = result.lexicalRank ? `#${result.lexicalRank} (BM25 ${result.lexicalScore.toFixed(2)})` : "-";
+          console.log(`Scores: vector ${vectorInfo}, lexical ${lexicalInfo}, fused ${result.hybridScore.toFixed(4)}`);
+        }
+        if (result.matchedBy) {
+          console.log(`Matched by: ${result.matchedBy.map(({ label, rank }) => `${label} #${rank}`).join(", ")}`);
+        }
+        if (result.mmr) {
+          console.log(
+            `MMR: candidate #${result.mmr.candidateRank}, relevance ${result.mmr.relevance.toFixed(3)}, ` +
+              `max similarity to earlier picks ${result.mmr.redundancy.toFixed(3)}, score ${result.mmr.score.toFixed(3)}`
+          );
+        }
         console.log(result.text.substring(0, 200) + "...\n");
       });
+      console.log(`⏱ Retrieval latency: ${formatTimings(timings)}`);
 
-      return results;
+      // Attach provenance so callers can cite where each chunk came from
+      return results.map((result) => ({
+        ...result,
+        source: {
+          path: result.sourcePath || null,
+          title: result.sourceTitle || null,
+          documentId: result.documentId || null,
+          pageNumber: result.pageNumber || null,
+          sectionPath: result.sectionPath || null,
+          contentType: result.contentType || "text",
+          level: result.level || 0,
+          ocr: result.ocr || false,
+          relevance: result.relevance,
+        },
+      }));
     } catch (error) {
       console.error("Error searching documents:", error);
       throw error;
     }
   }
 
+  /**
+   * Rerank search results and keep the best topK
+   * Falls back to the search order when the reranker fails
+   */
+  async rerankResults(query, results, topK) {
+    if (results.length === 0) {
+      return results;
+    }
+    console.log("\n=== RERANKING ===\n");
+    console.log(`Reranking ${results.length} candidates with the ${this.reranker.name} reranker, keeping ${topK}...`);
+    let reranked;
+    try {
+      reranked = await this.reranker.rerank(query, results, topK);
+    } catch (error) {
+      console.warn(`⚠ Reranking failed, keeping the search order: ${error.message}`);
+      return results.slice(0, topK);
+    }
+
+    console.log("✓ Reranked order:");
+    reranked.forEach((result, index) => {
+      const pageInfo = result.pageNumber ? `, page ${result.pageNumber}` : "";
+      console.log(
+        `  ${index + 1}. [${result.rerankScore.toFixed(2)}] (was #${result.originalRank}) ` +
+          `${result.sourceTitle || "unknown"}${pageInfo}: ${result.text.replace(/\s+/g, " ").substring(0, 80)}...`
+      );
+    });
+    return reranked;
+  }
+
+  /**
+   * Expand matched child chunks to their parent windows
+   * Children of the same parent collapse into one block, parents that are next to each
+   * other in the same section are merged, and blocks are kept in rank order (by their
+   * best matching child) until MAX_CONTEXT_CHARS is reached. Chunks without a parent
+   * (tables, images) are kept as they are.
+   */
+  async expandToParents(results) {
+    const parentIds = [...new Set(results.map((result) => result.parentId).filter(Boolean))];
+    if (parentIds.length === 0) {
+      return results;
+    }
+
+    const parentTable = await this.openParentTable();
+    if (!parentTable) {
+      return results;
+    }
+    const parentRows = await parentTable
+      .query()
+      .where(`\`parentId\` IN (${parentIds.map(sqlString).join(", ")})`)
+      .toArray();
+    const parentsById = new Map(parentRows.map((row) => [row.parentId, row]));
+
+    // One block per parent (or per chunk without a parent), ranked by its best child
+    const blocks = [];
+    const blocksByParent = new Map();
+    results.forEach((result, rank) => {
+      const parent = parentsById.get(result.parentId);
+      if (!parent) {
+        blocks.push({ ...result, rank, matches: [result] });
+        return;
+      }
+      if (blocksByParent.has(parent.parentId)) {
+        blocksByParent.get(parent.parentId).matches.push(result);
+        return;
+      }
+      const block = {
+        ...result,
+        text: parent.text,
+        charStart: Number(parent.charStart),
+        charEnd: Number(parent.charEnd),
+        parentIds: [parent.parentId],
+        rank,
+        matches: [result],
+      };
+      blocksByParent.set(parent.parentId, block);
+      blocks.push(block);
+    });
+
+    // Merge neighbouring parent windows of the same section (only whitespace between them),
+    // as long as the merged block still fits the context budget
+    const merged = [];
+    const byPosition = blocks
+      .filter((block) => block.parentIds)
+      .sort((a, b) => a.documentId.localeCompare(b.documentId) || a.charStart - b.charStart);
+    for (const block of byPosition) {
+      const previous = merged[merged.length - 1];
+      if (
+        previous &&
+        previous.documentId === block.documentId &&
+        previous.sectionPath === block.sectionPath &&
+        previous.pageNumber === block.pageNumber &&
+        block.charStart - previous.charEnd <= 10 &&
+        previous.text.length + block.text.length <= this.maxContextChars
+      ) {
+        previous.text += "\n\n" + block.text;
+        previous.charEnd = Math.max(previous.charEnd, block.charEnd);
+        previous.parentIds.push(...block.parentIds);
+        previous.matches.push(...block.matches);
+        previous.rank = Math.min(previous.rank, block.rank);
+      } else {
+        merged.push(block);
+      }
+    }
+    const ranked = [...merged, ...blocks.filter((block) => !block.parentIds)].sort((a, b) => a.rank - b.rank);
+
+    // Keep the best blocks within the context budget (the first one always fits)
+    const expanded = [];
+    let totalChars = 0;
+    for (const block of ranked) {
+      if (expanded.length > 0 && totalChars + block.text.length > this.maxContextChars) {
+        continue;
+      }
+      expanded.push(block);
+      totalChars += block.text.length;
+    }
+
+    console.log(
+      `🔎 Small-to-big: ${results.length} matched chunks → ${expanded.length} context block(s) ` +
+        `(${blocksByParent.size} parent windows, ${blocks.length - ranked.length} merged, ` +
+        `${results.length - blocks.length} duplicates removed, ${ranked.length - expanded.length} over budget), ${totalChars} chars`
+    );
+    return expanded;
+  }
+
+  /**
+   * Label a retrieved chunk with its source and page so answers can cite them
+   */
+  formatChunkForContext(result) {
+    const labelParts = [];
+    if (result.contentType === "summary") {
+      labelParts.push(SUMMARY_LEVELS[result.level] || "summary");
+    }
+    if (result.sourceTitle) {
+      labelParts.push(result.sourceTitle);
+    }
+    if (result.sectionPath) {
+      labelParts.push(result.sectionPath);
+    }
+    if (result.pageNumber) {
+      labelParts.push(`Page ${result.pageNumber}`);
+    }
+
+    return labelParts.length > 0
+      ? `[Source: ${labelParts.join(", ")}]\n${result.text}`
+      : result.text;
+  }
+
   /**
    * Retrieve context for a query using Corrective RAG (CRAG)
    * CRAG Steps:
-   * 1. Retrieve from local vector DB
+   * 1. Retrieve from local vector DB (small chunks, optionally reranked, expanded to their parent windows)
    * 2. Query Analyzer evaluates the query
    * 3. ALWAYS perform web search to find additional information
    * 4. Combine full context (local + web)
+   * Options are passed on to searchSimilarDocuments ({ filter, mmr })
    */
-  async retrieveContext(query, topK = 3) {
-    // Step 1: Retrieve from local documents
-    const localResults = await this.searchSimilarDocuments(query, topK);
-    let localContext = localResults.map((result) => result.text).join("\n\n");
+  async retrieveContext(query, topK = 3, options = {}) {
+    // Step 1: Retrieve from local documents; with a reranker, topK is the candidate pool
+    // (at least RERANK_CANDIDATES) and the reranker keeps at most RERANK_TOP_K
+    const timings = [];
+    let localResults = await timed(timings, "local search", () =>
+      this.searchSimilarDocuments(query, this.reranker ? Math.max(topK, this.rerankCandidates) : topK, options)
+    );
+    if (this.reranker) {
+      localResults = await timed(timings, "reranking", () => this.rerankResults(query, localResults, Math.min(topK, this.rerankTopK)));
+    }
+    const contextBlocks = this.smallToBig
+      ? await timed(timings, "parent expansion", () => this.expandToParents(localResults))
+      : localResults;
+    let localContext = contextBlocks.map((result) => this.formatChunkForContext(result)).join("\n\n");
 
     // If CRAG is disabled, return local results only
     if (!this.enableCorrectiveRAG) {
+      console.log(`\n⏱ Pipeline latency: ${formatTimings(timings)}`);
       return {
         context: localContext,
         chunks: localResults,
+        contextBlocks,
         webResults: null,
         analysis: null,
       };
@@ -114,10 +1091,8 @@ export class Retriever {
     console.log("\n=== QUERY ANALYSIS ===\n");
     console.log("Analyzing query to generate optimal web search...");
 
-    const analysis = await this.queryAnalyzer.analyze(
-      query,
-      localResults,
-      this.useQuickAnalysis
+    const analysis = await timed(timings, "query analysis", () =>
+      this.queryAnalyzer.analyze(query, localResults, this.useQuickAnalysis)
     );
 
     // Step 3: ALWAYS perform web search (CRAG adds web information to local retrieval)
@@ -125,8 +1100,15 @@ export class Retriever {
       "\n📡 Performing web search to supplement local documents...\n"
     );
 
-    const searchQuery = analysis.suggested_search_query || query;
-    const webContext = await this.webSearcher.getSearchContext(searchQuery, 3);
+    let searchQuery = analysis.suggested_search_query || query;
+    if (this.redactor) {
+      const { text, findings } = this.redactor.redact(searchQuery);
+      if (findings.length > 0) {
+        console.log(`🔒 Redacted ${findings.length} value(s) from the web search query`);
+        searchQuery = text;
+      }
+    }
+    const webContext = await timed(timings, "web search", () => this.webSearcher.getSearchContext(searchQuery, 3));
     const webResults = { searchQuery, context: webContext };
 
     // Step 4: Combine full context (local + web)
@@ -139,12 +1121,14 @@ ${localContext}
 ${webContext}`;
 
     console.log(`\n✓ Full context prepared: Local Documents + Web Search`);
+    console.log(`⏱ Pipeline latency: ${formatTimings(timings)}`);
 
     return {
       context: combinedContext,
       localContext,
       webContext,
       chunks: localResults,
+      contextBlocks,
       webResults,
       analysis,
     };
@@ -0,0 +1,66 @@
+import OpenAI from "openai";
+
+/**
+ * Retry Module
+ * Retries transient API failures (rate limits, server errors, timeouts, dropped
+ * connections) with exponential backoff and full jitter
+ */
+
+/**
+ * Whether an error from the OpenAI client is worth retrying
+ */
+export function isTransientError(error) {
+  if (error instanceof OpenAI.APIConnectionError) {
+    return true; // includes APIConnectionTimeoutError
+  }
+  const status = error?.status;
+  if (status === 408 || status === 409 || status === 429 || (status >= 500 && status < 600)) {
+    return true;
+  }
+  return ["ETIMEDOUT", "ECONNRESET", "ECONNREFUSED", "EPIPE", "EAI_AGAIN"].includes(error?.code);
+}
+
+/**
+ * Whether an error says the request input exceeded the model's limit
+ */
+export function isInputTooLargeError(error) {
+  if (error?.status === 413) {
+    return true;
+  }
+  return (
+    (error?.status === 400 || error?.status === 422) &&
+    /context length|too long|too many tokens|too large|maximum.*(tokens|input|length)|exceeds/i.test(error.message || "")
+  );
+}
+
+/**
+ * Delay before the given retry attempt (0-based): a random value up to
+ * baseDelayMs * 2^attempt, capped at maxDelayMs. A Retry-After header wins when present.
+ */
+export function backoffDelay(attempt, { baseDelayMs = 500, maxDelayMs = 30000, error } = {}) {
+  const retryAfter = parseFloat(error?.headers?.["retry-after"]);
+  if (Number.isFinite(retryAfter) && retryAfter >= 0) {
+    return Math.min(retryAfter * 1000, maxDelayMs);
+  }
+  return Math.random() * Math.min(baseDelayMs * 2 ** attempt, maxDelayMs);
+}
+
+/**
+ * Call fn until it succeeds, retrying transient errors up to `retries` times
+ */
+export async function withRetry(fn, { retries = 5, baseDelayMs = 500, maxDelayMs = 30000, label = "Request" } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= retries || !isTransientError(error)) {
+        throw error;
+      }
+      const delay = backoffDelay(attempt, { baseDelayMs, maxDelayMs, error });
+      console.warn(
+        `⚠ ${label} failed (${error.status || error.code || error.message}), retry ${attempt + 1}/${retries} in ${(delay / 1000).toFixed(1)}s`
+      );
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
@@ -0,0 +1,11 @@
+/**
+ * SQL Module
+ * Helpers for building LanceDB filter expressions
+ */
+
+/**
+ * Quote a value as a SQL string literal for LanceDB filters
+ */
+export function sqlString(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
@@ -0,0 +1,221 @@
+import OpenAI from "openai";
+import { withRetry } from "./retry.js";
+import { LlmCache } from "./llmCache.js";
+
+/**
+ * Summary Module
+ * Builds a tree of LLM summaries for each document so broad questions ("what is this
+ * document about", "summarize chapter 3") can be answered from summaries instead of a
+ * handful of random chunks:
+ * - level 1: groups of consecutive chunks within a section
+ * - level 2: sections (from their group summaries, or their chunks when short)
+ * - level 3: the whole document (from its section summaries)
+ * Levels with a single node are skipped: a one-group section goes straight to its
+ * section summary, and a one-section document straight to its document summary.
+ * Summaries are cached in LanceDB by (model, inputs).
+ */
+
+// Names of the summary levels, used when summaries are shown or quoted
+export const SUMMARY_LEVELS = {
+  1: "passage summary",
+  2: "section summary",
+  3: "document summary",
+};
+
+export class DocumentSummarizer {
+  constructor(dbPath = "./lancedb") {
+    this.openai = new OpenAI({
+      apiKey: "api_key",
+      baseURL: "http://localhost:1234/v1",
+      maxRetries: 0, // Retries are handled by withRetry
+    });
+    this.model = process.env.LLM_MODEL;
+    this.groupSize = parseInt(process.env.SUMMARY_GROUP_SIZE, 10) || 5;
+    this.maxInputChars = parseInt(process.env.SUMMARY_INPUT_CHARS, 10) || 12000;
+    this.concurrency = parseInt(process.env.SUMMARY_CONCURRENCY, 10) || 2;
+    this.cache = new LlmCache(dbPath, "summary_cache", this.model);
+    this.stats = { generated: 0, cached: 0, failed: 0 };
+  }
+
+  /**
+   * Settings recorded in the index manifest; stored summaries depend on all of them
+   */
+  describe() {
+    return JSON.stringify({ model: this.model, groupSize: this.groupSize });
+  }
+
+  /**
+   * Ask the LLM for a summary of some passages
+   */
+  async generateSummary(passages, title, scope) {
+    const response = await withRetry(
+      () =>
+        this.openai.chat.completions.create({
+          model: this.model,
+          messages: [
+            {
+              role: "user",
+              content: `Here are passages from ${scope} of the document "${title}":
+<passages>
+${passages.join("\n\n---\n\n")}
+</passages>
+
+Write a concise summary (at most one paragraph) of these passages. Name the main topics, key facts and conclusions so the summary can answer overview questions. Answer only with the summary and nothing else.`,
+            },
+          ],
+          temperature: 0,
+          max_tokens: 400,
+        }),
+      { label: "Summary request" }
+    );
+    return (response.choices[0].message.content || "").trim();
+  }
+
+  /**
+   * Summarize passages, using the cache when possible
+   * Input longer than maxInputChars is summarized in parts first and the part summaries
+   * are summarized again. Returns "" when the summary cannot be generated.
+   */
+  async summarize(passages, title, scope) {
+    if (passages.length === 0) {
+      return "";
+    }
+
+    const totalChars = passages.reduce((sum, passage) => sum + passage.length, 0);
+    if (totalChars > this.maxInputChars && passages.length > 1) {
+      const parts = [];
+      let current = [];
+      let currentChars = 0;
+      for (const passage of passages) {
+        if (current.length > 0 && currentChars + passage.length > this.maxInputChars) {
+          parts.push(current);
+          current = [];
+          currentChars = 0;
+        }
+        current.push(passage);
+        currentChars += passage.length;
+      }
+      parts.push(current);
+      const partSummaries = await this.runPool(parts, (part) => this.summarize(part, title, scope));
+      return this.summarize(partSummaries.filter(Boolean), title, scope);
+    }
+
+    const key = this.cache.key(title, scope, passages);
+    const cached = await this.cache.getMany([key]);
+    if (cached.has(key)) {
+      this.stats.cached++;
+      return cached.get(key);
+    }
+
+    try {
+      const summary = await this.generateSummary(passages, title, scope);
+      await this.cache.putMany([{ key, output: summary }]);
+      this.stats.generated++;
+      return summary;
+    } catch (error) {
+      console.warn(`  ⚠ Could not generate a summary of ${scope}: ${error.message}`);
+      this.stats.failed++;
+      return "";
+    }
+  }
+
+  /**
+   * Run fn over items with at most `concurrency` calls in flight, keeping the order
+   */
+  async runPool(items, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await fn(items[index], index);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(this.concurrency, items.length) }, () => worker()));
+    return results;
+  }
+
+  /**
+   * Build the summary tree of one document from its text chunks
+   * Returns summary chunks { text, contentType: "summary", level, sectionPath, pageNumber,
+   * charStart, charEnd } covering the chunks they were built from
+   */
+  async summarizeDocument(title, chunks) {
+    if (chunks.length === 0) {
+      return [];
+    }
+
+    const span = (covered) => ({
+      pageNumber: covered.find((chunk) => chunk.pageNumber)?.pageNumber || 0,
+      charStart: Math.min(...covered.map((chunk) => chunk.charStart || 0)),
+      charEnd: Math.max(...covered.map((chunk) => chunk.charEnd || 0)),
+    });
+
+    // Sections in document order
+    const sections = new Map();
+    for (const chunk of chunks) {
+      const sectionPath = chunk.sectionPath || "";
+      if (!sections.has(sectionPath)) {
+        sections.set(sectionPath, []);
+      }
+      sections.get(sectionPath).push(chunk);
+    }
+
+    // Level 1: groups of consecutive chunks, only for sections with more than one group
+    const groups = [];
+    for (const [sectionPath, sectionChunks] of sections) {
+      if (sectionChunks.length <= this.groupSize) {
+        continue;
+      }
+      for (let i = 0; i < sectionChunks.length; i += this.groupSize) {
+        groups.push({ sectionPath, chunks: sectionChunks.slice(i, i + this.groupSize) });
+      }
+    }
+    const groupSummaries = await this.runPool(groups, (group) =>
+      this.summarize(group.chunks.map((chunk) => chunk.text), title, group.sectionPath ? `section "${group.sectionPath}"` : "a part")
+    );
+    const summaries = [];
+    groups.forEach((group, index) => {
+      if (groupSummaries[index]) {
+        summaries.push({ text: groupSummaries[index], contentType: "summary", level: 1, sectionPath: group.sectionPath, ...span(group.chunks) });
+      }
+    });
+
+    // Level 2: one summary per section, only when there is more than one section
+    const sectionInputs = [...sections].map(([sectionPath, sectionChunks]) => {
+      const fromGroups = summaries.filter((summary) => summary.sectionPath === sectionPath);
+      return {
+        sectionPath,
+        chunks: sectionChunks,
+        passages: fromGroups.length > 0 ? fromGroups.map((summary) => summary.text) : sectionChunks.map((chunk) => chunk.text),
+      };
+    });
+    let documentPassages = sectionInputs.flatMap((section) => section.passages);
+    if (sectionInputs.length > 1) {
+      const sectionSummaries = await this.runPool(sectionInputs, (section) =>
+        this.summarize(section.passages, title, section.sectionPath ? `section "${section.sectionPath}"` : "the introduction")
+      );
+      documentPassages = [];
+      sectionInputs.forEach((section, index) => {
+        if (sectionSummaries[index]) {
+          summaries.push({ text: sectionSummaries[index], contentType: "summary", level: 2, sectionPath: section.sectionPath, ...span(section.chunks) });
+          documentPassages.push(section.sectionPath ? `${section.sectionPath}: ${sectionSummaries[index]}` : sectionSummaries[index]);
+        }
+      });
+    }
+
+    // Level 3: the whole document
+    const documentSummary = await this.summarize(documentPassages, title, "the whole document");
+    if (documentSummary) {
+      summaries.push({ text: documentSummary, contentType: "summary", level: 3, sectionPath: "", ...span(chunks) });
+    }
+
+    const counts = [1, 2, 3].map((level) => summaries.filter((summary) => summary.level === level).length);
+    console.log(`✓ Built ${summaries.length} summaries (${counts[0]} passage, ${counts[1]} section, ${counts[2]} document)`);
+    return summaries;
+  }
+
+  getStats() {
+    return { ...this.stats };
+  }
+}
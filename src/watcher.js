@@ -0,0 +1,146 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * Watch Module
+ * Keeps the index in sync with the document sources: file system events are collected
+ * until the sources have been quiet for debounceMs, then only the affected documents
+ * are re-indexed. Runs never overlap; changes arriving during a run trigger another one.
+ */
+
+export class DocumentWatcher {
+  constructor(indexer, sourceInput, dbPath = "./lancedb", options = {}) {
+    this.indexer = indexer;
+    this.sourceInput = sourceInput;
+    this.dbPath = dbPath;
+    this.debounceMs = options.debounceMs ?? (parseInt(process.env.WATCH_DEBOUNCE_MS, 10) || 2000);
+    // Called around every re-index run, e.g. to keep queries on a consistent table version
+    this.onIndexStart = options.onIndexStart || (async () => {});
+    this.onIndexEnd = options.onIndexEnd || (async () => {});
+
+    this.watchers = [];
+    this.pendingPaths = new Set();
+    this.timer = null;
+    this.running = null;
+    this.knownSources = new Set();
+  }
+
+  /**
+   * Directories to watch: each source directory, the parent directory of each source
+   * file, and the static part of each glob pattern
+   */
+  getWatchRoots() {
+    const entries = String(this.sourceInput)
+      .split(",")
+      .map((entry) => entry.trim())
+      .filter((entry) => entry.length > 0);
+
+    const roots = new Set();
+    for (const entry of entries) {
+      if (/[*?]/.test(entry)) {
+        roots.add(path.resolve(entry.split(/[*?]/)[0].replace(/[^/\\]*$/, "") || "."));
+      } else if (fs.existsSync(entry) && fs.statSync(entry).isDirectory()) {
+        roots.add(path.resolve(entry));
+      } else {
+        roots.add(path.dirname(path.resolve(entry)));
+      }
+    }
+
+    // Roots inside another root are already covered by its recursive watch
+    return [...roots].filter(
+      (root) => ![...roots].some((other) => other !== root && root.startsWith(other + path.sep))
+    );
+  }
+
+  /**
+   * Start watching the sources
+   */
+  start() {
+    this.knownSources = new Set(this.indexer.resolveSources(this.sourceInput));
+
+    for (const root of this.getWatchRoots()) {
+      if (!fs.existsSync(root)) {
+        console.warn(`⚠ Cannot watch missing directory: ${root}`);
+        continue;
+      }
+      const watcher = fs.watch(root, { recursive: true }, (eventType, filename) => {
+        if (filename) {
+          this.schedule(path.join(root, filename.toString()));
+        }
+      });
+      watcher.on("error", (error) => console.warn(`⚠ Watch error on ${root}: ${error.message}`));
+      this.watchers.push(watcher);
+    }
+
+    console.log(`👀 Watching ${this.watchers.length} folder(s) for document changes (debounce ${this.debounceMs}ms)`);
+  }
+
+  /**
+   * Stop watching and cancel any pending run
+   */
+  async stop() {
+    this.watchers.forEach((watcher) => watcher.close());
+    this.watchers = [];
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.running) {
+      await this.running;
+    }
+  }
+
+  /**
+   * Record a changed path and restart the debounce timer
+   */
+  schedule(filePath) {
+    this.pendingPaths.add(filePath);
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.flush(), this.debounceMs);
+  }
+
+  /**
+   * Re-index the documents changed since the last run
+   */
+  async flush() {
+    this.timer = null;
+    if (this.running) {
+      // Try again once the current run has finished
+      await this.running;
+      if (!this.timer && this.pendingPaths.size > 0) {
+        this.schedule([...this.pendingPaths][0]);
+      }
+      return;
+    }
+
+    const changedPaths = [...this.pendingPaths];
+    this.pendingPaths.clear();
+
+    // Only sources (current or previously indexed) matter; other files in the folders are ignored
+    const sources = this.indexer.resolveSources(this.sourceInput);
+    const affected = changedPaths.filter(
+      (filePath) => sources.includes(filePath) || this.knownSources.has(filePath)
+    );
+    if (affected.length === 0) {
+      return;
+    }
+
+    this.running = (async () => {
+      console.log(`\n🔄 ${affected.length} document(s) changed, updating the index...`);
+      affected.forEach((filePath) => console.log(`   ${path.relative(process.cwd(), filePath)}`));
+      try {
+        await this.onIndexStart();
+        if (sources.length === 0) {
+          console.warn("⚠ No documents left in the sources; keeping the existing index");
+        } else {
+          await this.indexer.indexPDF(this.sourceInput, this.dbPath, { only: affected });
+        }
+        this.knownSources = new Set(sources);
+      } catch (error) {
+        console.error(`❌ Re-indexing failed: ${error.message}`);
+      } finally {
+        await this.onIndexEnd();
+        this.running = null;
+      }
+    })();
+    await this.running;
+  }
+}